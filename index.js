@@ -10,10 +10,68 @@ const usersRoutes = require('./src/routes/users');
 const adminRoutes = require('./src/routes/admin');
 const packsRoutes = require('./src/routes/packs');
 const wordsRoutes = require('./src/routes/words');
+const collectionsRoutes = require('./src/routes/collections');
+const achievementsRoutes = require('./src/routes/achievements');
+const leaderboardRoutes = require('./src/routes/leaderboard');
+const messagesRoutes = require('./src/routes/messages');
+const roomsRoutes = require('./src/routes/rooms');
+const directMessagesRoutes = require('./src/routes/directMessages');
 const prisma = require('./src/db/prisma');
+const { authenticateSocket } = require('./src/middleware/auth');
+const { attachIO, userRoom, sessionRoom, createNotification } = require('./src/services/notifications');
+const { toggleRose } = require('./src/services/roses');
+const { saveMessage, toChatMessage, getRecentHistory } = require('./src/services/messages');
+const { loadVocabulary, findUnownedTokens } = require('./src/services/vocabulary');
+const { parseMessagePayload } = require('./src/services/messageFormat');
+const {
+  toMuteState,
+  isMuted,
+  getActiveMute,
+  invalidateBlockedWords,
+  findBlockedTokens
+} = require('./src/services/moderation');
+const {
+  toDirectMessage,
+  sendDirectMessage,
+  markDelivered,
+  takeUndelivered,
+  countUnread
+} = require('./src/services/directMessages');
+const {
+  addSession,
+  removeSession,
+  addToRoom,
+  removeFromRoom,
+  getSession,
+  getUser,
+  getPresence,
+  updatePresence,
+  roomsOfUser,
+  usersInRoom,
+  sessionsInRoom,
+  INSTANCE_ID,
+  HEARTBEAT_INTERVAL_MS,
+  heartbeat,
+  purgeInstance,
+  purgeDeadInstances
+} = require('./src/services/presence');
+const { DEFAULT_ROOM_ID, roomChannel, formatRoom, getActiveRoom, checkRoomRules } = require('./src/services/rooms');
+const { AppError } = require('./src/utils/errors');
+const { gameEvents } = require('./src/services/events');
+const { expireBans } = require('./src/services/bans');
+const { purgeExpiredSessions } = require('./src/services/sessions');
+const store = require('./src/store');
+const { createStoreAdapter } = require('./src/store/adapter');
 
 const app = express();
 
+// 部署在反向代理（Nginx 等）之后时设置 TRUST_PROXY（代理层数如 1，或 loopback 等地址），
+// 让 req.ip 取 X-Forwarded-For 中的真实客户端地址（审计日志和登录会话记录的 IP）
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY) : TRUST_PROXY);
+}
+
 // 中间件
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -25,267 +83,660 @@ app.use('/api/users', usersRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/packs', packsRoutes);
 app.use('/api/words', wordsRoutes);
+app.use('/api/collections', collectionsRoutes);
+app.use('/api/achievements', achievementsRoutes);
+app.use('/api/leaderboard', leaderboardRoutes);
+app.use('/api/messages', messagesRoutes);
+app.use('/api/rooms', roomsRoutes);
+app.use('/api/dms', directMessagesRoutes);
 
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
     origin: "http://localhost:5173",
     methods: ["GET", "POST"]
+  },
+  // 多实例部署时通过共享存储转发广播，使 io.to(room).emit 能到达其他实例上的连接
+  ...(store.clustered ? { adapter: createStoreAdapter(store) } : {})
+});
+attachIO(io);
+
+// 速率限制：同一用户两次送花的最小间隔（所有实例共享）
+const ROSE_INTERVAL_MS = 1000;
+
+// 连接在这段时间内没有任何事件（包括 heartbeat）时视为空闲并断开
+const IDLE_TIMEOUT_MS = Number(process.env.SOCKET_IDLE_TIMEOUT_MS) || 5 * 60 * 1000;
+// 超过这段时间没有新的 typing 事件时自动结束"正在输入"
+const TYPING_TIMEOUT_MS = 5000;
+
+// 用户资料变化（鲜花数、词汇量、连接数）时通知其所在的房间
+async function emitUserUpdated(userId) {
+  const presence = await getPresence(userId);
+  if (!presence) return;
+  for (const roomId of await roomsOfUser(userId)) {
+    io.to(roomChannel(roomId)).emit('userUpdated', presence);
+  }
+}
+
+function sendSystemMessage(roomId, content) {
+  io.to(roomChannel(roomId)).emit('message', {
+    type: 'sys',
+    roomId,
+    content,
+    timestamp: Date.now()
+  });
+}
+
+// 禁言期间发送消息或送花时提示解除时间
+function sendMutedError(socket, mute) {
+  socket.emit('error', {
+    code: 'MUTED',
+    message: `你已被禁言，解除时间：${new Date(mute.mutedUntil).toLocaleString('zh-CN')}`,
+    mutedUntil: mute.mutedUntil,
+    reason: mute.reason
+  });
+}
+
+function stopTyping(socket, session, user) {
+  if (!session.typingTimer) return;
+  clearTimeout(session.typingTimer);
+  session.typingTimer = null;
+  socket.to(roomChannel(session.room.id)).emit('userTyping', {
+    userId: user.userId,
+    username: user.username,
+    roomId: session.room.id,
+    isTyping: false
+  });
+}
+
+// 进入房间：新进入的连接收到完整的在线列表，房间内其他人只收到 userJoined
+async function enterRoom(socket, session, user, room) {
+  const firstInRoom = await addToRoom(socket.id, room);
+  socket.join(roomChannel(room.id));
+  socket.emit('room-joined', { room: formatRoom(room) });
+  socket.emit('users-update', await usersInRoom(room.id));
+
+  // 同一用户在该房间已有其他标签页时不重复通知
+  if (firstInRoom) {
+    const presence = await getPresence(user.userId);
+    socket.to(roomChannel(room.id)).emit('userJoined', { ...presence, timestamp: Date.now() });
+    sendSystemMessage(room.id, `> [${user.username}] 进入了房间。`);
+  }
+
+  try {
+    socket.emit('message-history', { roomId: room.id, messages: await getRecentHistory(room.id) });
+  } catch (error) {
+    console.error('加载历史消息错误:', error);
+  }
+}
+
+// 离开房间：用户在该房间的最后一个连接离开时才广播 userLeft
+async function leaveRoom(socket, session, user, reason = '离开了房间') {
+  const roomId = session.room.id;
+  stopTyping(socket, session, user);
+  socket.leave(roomChannel(roomId));
+
+  if (await removeFromRoom(socket.id)) {
+    io.to(roomChannel(roomId)).emit('userLeft', {
+      userId: user.userId,
+      username: user.username,
+      timestamp: Date.now()
+    });
+    sendSystemMessage(roomId, `> [${user.username}] ${reason}。`);
+  }
+}
+
+// 游戏事件由处理请求的实例发出；多实例部署时转发给其他实例，
+// 每个实例只处理自己的连接
+function onGameEvent(name, handler) {
+  const run = (payload) => handler(payload).catch(error => console.error(`处理 ${name} 事件错误:`, error));
+  gameEvents.on(name, (payload) => {
+    run(payload);
+    if (store.clustered) io.serverSideEmit(name, payload);
+  });
+  io.on(name, run);
+}
+
+// 用户通过开包、合成等方式获得新单词后，重新加载其在线会话的词汇缓存（包含单词变体）
+onGameEvent('words-acquired', async ({ userId, words }) => {
+  if (!getUser(userId)) return;
+
+  let vocabulary;
+  try {
+    vocabulary = await loadVocabulary(userId);
+  } catch (error) {
+    console.error('刷新用户词汇错误:', error);
+    return;
+  }
+
+  const user = getUser(userId);
+  if (!user) return;
+  user.vocabulary = vocabulary;
+  io.local.to(userRoom(userId)).emit('vocabulary-update', { added: words, vocabCount: vocabulary.wordCount });
+  await updatePresence(userId, { vocabCount: vocabulary.wordCount });
+  await emitUserUpdated(userId);
+});
+
+// 管理员修改房间规则后同步给房间内的用户；房间被停用时把用户移回大厅
+onGameEvent('room-updated', async ({ room }) => {
+  const sessions = sessionsInRoom(room.id);
+  if (sessions.length === 0) return;
+
+  if (room.isActive) {
+    for (const [sid, session] of sessions) {
+      session.room = room;
+      io.local.to(sid).emit('room-joined', { room: formatRoom(room) });
+    }
+    return;
+  }
+
+  let lobby;
+  try {
+    lobby = await getActiveRoom(DEFAULT_ROOM_ID);
+  } catch (error) {
+    console.error('加载大厅错误:', error);
+    return;
+  }
+  for (const [sid, session] of sessions) {
+    const socket = io.sockets.sockets.get(sid);
+    if (!socket) continue;
+    const user = getUser(session.userId);
+    socket.emit('error', { message: '房间已关闭，已返回大厅' });
+    await leaveRoom(socket, session, user);
+    await enterRoom(socket, session, user, lobby);
   }
 });
 
-// 存储用户数据（包含总鲜花数）
-const users = new Map();
+// 管理员删除消息后从房间内所有用户的聊天记录中移除
+onGameEvent('message-deleted', async ({ messageId, roomId, reason }) => {
+  io.local.to(roomChannel(roomId)).emit('message-deleted', { messageId, roomId, reason, timestamp: Date.now() });
+});
 
-// 存储消息数据（包含鲜花数）
-const messages = new Map();
+// 禁言状态缓存在用户的在线会话中，发消息时无需查询数据库
+onGameEvent('mute-updated', async ({ userId, mute }) => {
+  const user = getUser(userId);
+  if (!user) return;
+  user.mute = mute;
+  io.local.to(userRoom(userId)).emit('mute-updated', mute || { mutedUntil: null, reason: null });
+});
 
-// 防止重复送花：记录每个用户对每条消息的送花状态
-// 格式：Map<messageId, Set<username>>
-const messageRoseSenders = new Map();
+onGameEvent('blocklist-updated', async () => {
+  invalidateBlockedWords();
+});
 
-// 速率限制：记录用户最后一次送花时间
-const userLastRoseTime = new Map();
+// 所有连接必须携带有效 JWT，用户身份以令牌为准
+io.use(authenticateSocket);
 
 io.on('connection', (socket) => {
-  console.log('用户连接:', socket.id);
+  const account = socket.data.user;
+  console.log('用户连接:', socket.id, account.username);
 
-  socket.on('join', async ({ username, inventory }) => {
+  // 加入个人房间，用于接收成就通知、封禁断线等；会话房间用于登出、撤销会话时断线
+  socket.join(userRoom(account.id));
+  socket.join(sessionRoom(socket.data.sessionId));
+
+  // 任何事件都算作活跃，用于空闲超时检测
+  socket.data.lastActiveAt = Date.now();
+  socket.onAny(() => {
+    socket.data.lastActiveAt = Date.now();
+  });
+
+  // 心跳：{ timestamp }，原样返回客户端时间戳以便计算延迟
+  socket.on('heartbeat', ({ timestamp } = {}) => {
+    socket.emit('heartbeatAck', { timestamp: timestamp ?? null, serverTime: Date.now() });
+  });
+
+  // 加入聊天：{ roomId? }，默认进入大厅
+  // 加入过程中有多次 await：进行中的加入记录在 socket.data.joining 上，重复的 join 直接忽略，
+  // 断开连接时先等待加入完成再清理，避免把已断开的连接登记到在线状态中
+  socket.on('join', ({ roomId = DEFAULT_ROOM_ID } = {}) => {
+    if (getSession(socket.id) || socket.data.joining) return;
+    socket.data.joining = joinChat(roomId).finally(() => {
+      socket.data.joining = null;
+    });
+  });
+
+  async function joinChat(roomId) {
+    // 词汇表从数据库加载，不信任客户端提交的库存
+    let vocabulary;
+    let room;
+    let mute;
     try {
-      // 从数据库查询用户信息
-      const user = await prisma.user.findUnique({
-        where: { username },
-        select: { id: true, totalRoses: true, nickname: true }
-      });
+      vocabulary = await loadVocabulary(account.id);
+      mute = toMuteState(await getActiveMute(account.id));
+      room = await getActiveRoom(typeof roomId === 'string' ? roomId : DEFAULT_ROOM_ID)
+        .catch(() => getActiveRoom(DEFAULT_ROOM_ID));
+    } catch (error) {
+      console.error('加载用户数据错误:', error);
+      socket.emit('error', { message: '加载词汇失败，请重新连接' });
+      return;
+    }
 
-      // 初始化用户数据，包含从数据库加载的总鲜花数
-      users.set(socket.id, { 
-        username,
-        userId: user?.id,
-        nickname: user?.nickname || null,  // 加载昵称
-        inventory,
-        totalRoses: user?.totalRoses || 0  // 从数据库加载鲜花数
-      });
-      
-      // 发送用户列表更新（包含鲜花数）
-      io.emit('users-update', Array.from(users.entries()).map(([id, data]) => ({
-        id,
-        username: data.username,
-        nickname: data.nickname || null,
-        vocabCount: Object.keys(data.inventory).length,
-        roses: data.totalRoses || 0  // 添加鲜花数
-      })));
-
-      io.emit('message', {
-        type: 'sys',
-        content: `> [${username}] 已连接到服务器。`,
-        timestamp: Date.now()
+    // 加载期间客户端已断开，不再登记
+    if (!socket.connected) return;
+
+    try {
+      // 登记连接，身份、等级和鲜花数来自握手时加载的数据库记录；同一用户的多个连接共享这些数据
+      const { user, session, sessionCount } = await addSession(socket.id, {
+        username: account.username,
+        userId: account.id,
+        nickname: account.nickname || null,
+        level: account.level,
+        vocabulary,
+        mute,
+        totalRoses: account.totalRoses || 0
       });
+      if (sessionCount > 1) {
+        // 已在线的用户又打开了一个连接，更新其连接数
+        await emitUserUpdated(user.userId);
+      }
+
+      await enterRoom(socket, session, user, room);
+      if (isMuted(mute)) socket.emit('mute-updated', mute);
+    } catch (error) {
+      console.error('加入聊天错误:', error);
+      socket.emit('error', { message: '加入聊天失败，请重新连接' });
+      return;
+    }
+
+    if (!socket.connected) return;
+
+    try {
+      // 离线期间收到的通知（如回复）数量，详情通过 /api/users/me/notifications 获取
+      const unread = await prisma.notification.count({ where: { userId: account.id, isRead: false } });
+      socket.emit('unread-notifications', { count: unread });
+    } catch (error) {
+      console.error('加载未读通知错误:', error);
+    }
+
+    // 补发的私信会被标记为已送达，连接已断开时留到下次上线
+    if (!socket.connected) return;
+
+    try {
+      // 补发离线期间收到的私信
+      const [pending, unreadCount] = await Promise.all([
+        takeUndelivered(account.id),
+        countUnread(account.id)
+      ]);
+      socket.emit('pending-direct-messages', { messages: pending, unreadCount });
     } catch (error) {
-      console.error('用户加入错误:', error);
-      // 即使数据库查询失败，也允许用户连接
-      users.set(socket.id, { 
-        username, 
-        inventory,
-        totalRoses: 0
+      console.error('加载离线私信错误:', error);
+    }
+  }
+
+  // 切换房间，无需重新连接：{ roomId }
+  socket.on('switch-room', async ({ roomId } = {}) => {
+    const session = getSession(socket.id);
+    if (!session) return;
+    if (typeof roomId !== 'string') {
+      socket.emit('error', { message: '房间不存在' });
+      return;
+    }
+    if (roomId === session.room?.id) return;
+
+    let room;
+    try {
+      room = await getActiveRoom(roomId);
+    } catch (error) {
+      if (!(error instanceof AppError)) console.error('切换房间错误:', error);
+      socket.emit('error', { message: error instanceof AppError ? error.message : '切换房间失败' });
+      return;
+    }
+
+    const user = getUser(session.userId);
+    try {
+      await leaveRoom(socket, session, user);
+      await enterRoom(socket, session, user, room);
+    } catch (error) {
+      console.error('切换房间错误:', error);
+      socket.emit('error', { message: '切换房间失败' });
+    }
+  });
+
+  // 正在输入：{ isTyping }，转发给同房间的其他人，超时未更新自动结束
+  socket.on('typing', ({ isTyping } = {}) => {
+    const session = getSession(socket.id);
+    if (!session || !session.room) return;
+    const user = getUser(session.userId);
+
+    if (!isTyping) {
+      stopTyping(socket, session, user);
+      return;
+    }
+
+    if (session.typingTimer) {
+      clearTimeout(session.typingTimer);
+    } else {
+      socket.to(roomChannel(session.room.id)).emit('userTyping', {
+        userId: user.userId,
+        username: user.username,
+        roomId: session.room.id,
+        isTyping: true
       });
     }
+    session.typingTimer = setTimeout(() => stopTyping(socket, session, user), TYPING_TIMEOUT_MS);
   });
 
-  socket.on('send-message', ({ html, tokens }) => {
-    const user = users.get(socket.id);
-    if (!user) return;
+  // 消息格式：{ tokens: [{ text, emphasis? }], replyTo? }，由服务端渲染为 HTML（稀有度颜色按拥有的单词决定）
+  // 兼容旧版 { html }：经白名单清洗后从文字中提取词元
+  socket.on('send-message', async (payload = {}) => {
+    const session = getSession(socket.id);
+    if (!session || !session.room) return;
+    const user = getUser(session.userId);
 
-    // 验证用户是否拥有这些词汇
-    const valid = tokens.every(token => {
-      const word = token.toLowerCase();
-      return Object.keys(user.inventory).some(w => w.toLowerCase() === word);
-    });
+    if (isMuted(user.mute)) {
+      sendMutedError(socket, user.mute);
+      return;
+    }
 
-    if (!valid) {
-      // ❌ 验证失败：只发给发送者本人
+    const { replyTo = null } = payload;
+    if (replyTo !== null && typeof replyTo !== 'string') {
+      socket.emit('error', { message: '回复的消息不存在' });
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = parseMessagePayload(payload, user.vocabulary);
+    } catch (error) {
+      socket.emit('error', { message: error instanceof AppError ? error.message : '消息格式错误' });
+      return;
+    }
+
+    const texts = parsed.tokens.map(t => t.text);
+    const room = session.room;
+    const roomId = room.id;
+
+    // 验证用户是否拥有这些词汇（以数据库中的库存为准）
+    const deniedTokens = findUnownedTokens(user.vocabulary, texts);
+
+    if (deniedTokens.length > 0) {
+      // ❌ 验证失败：只发给发送者本人，并列出未拥有的词汇
       socket.emit('message', {
         type: 'sys',
-        content: ' ACCESS DENIED: 检测到非法词汇！消息未发送。',
+        roomId,
+        content: ` ACCESS DENIED: 检测到未拥有的词汇 [${deniedTokens.join(', ')}]！消息未发送。`,
         isError: true,
+        deniedTokens,
         timestamp: Date.now()
       });
       return;
     }
 
-    // ✅ 验证通过：生成消息ID并存储
-    const messageId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const messageData = {
-      id: messageId,
-      type: 'user',
-      username: user.username,
-      nickname: user.nickname || null,  // 包含昵称
-      content: html,
-      roses: 0,  // 初始鲜花数为0
-      timestamp: Date.now()
-    };
+    // 禁用词即使拥有也不能使用
+    let blockedTokens;
+    try {
+      blockedTokens = await findBlockedTokens(texts);
+    } catch (error) {
+      console.error('加载禁用词错误:', error);
+      socket.emit('error', { message: '消息发送失败，请稍后重试' });
+      return;
+    }
+    if (blockedTokens.length > 0) {
+      socket.emit('message', {
+        type: 'sys',
+        roomId,
+        content: ` ACCESS DENIED: 包含禁用词汇 [${blockedTokens.join(', ')}]！消息未发送。`,
+        isError: true,
+        blockedTokens,
+        timestamp: Date.now()
+      });
+      return;
+    }
 
-    // 存储消息
-    messages.set(messageId, messageData);
+    // 房间规则（最低等级、允许的单词稀有度）
+    const violation = checkRoomRules(room, user, texts);
+    if (violation) {
+      socket.emit('message', {
+        type: 'sys',
+        roomId,
+        content: ` ACCESS DENIED: ${violation}！消息未发送。`,
+        isError: true,
+        timestamp: Date.now()
+      });
+      return;
+    }
 
-    // 广播给所有人
-    io.emit('message', messageData);
+    // ✅ 验证通过：写入数据库
+    let messageData;
+    try {
+      messageData = toChatMessage(await saveMessage(user.userId, parsed, { roomId, replyToId: replyTo }));
+    } catch (error) {
+      if (error instanceof AppError) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
+      console.error('保存消息失败:', error);
+      socket.emit('message', {
+        type: 'sys',
+        roomId,
+        content: ' 消息发送失败，请稍后重试。',
+        isError: true,
+        timestamp: Date.now()
+      });
+      return;
+    }
 
-    // 清理旧消息（保留最近100条）
-    if (messages.size > 100) {
-      const oldestKey = messages.keys().next().value;
-      messages.delete(oldestKey);
-      messageRoseSenders.delete(oldestKey);
+    // 广播给房间内所有人
+    stopTyping(socket, session, user);
+    io.to(roomChannel(roomId)).emit('message', messageData);
+
+    // 通知被回复的用户（离线时保存，上线后可查看）
+    const parent = messageData.replyPreview;
+    if (parent && parent.userId !== user.userId) {
+      createNotification(parent.userId, {
+        type: 'reply',
+        title: '收到新回复',
+        message: `${user.nickname || user.username} 回复了你的消息`,
+        data: { messageId: messageData.id, roomId, replyTo: parent.messageId, preview: parent.preview }
+      }).catch(error => console.error('保存回复通知失败:', error));
     }
   });
 
-  // 🌹 送花功能
-socket.on('send-rose', async ({ targetUsername, messageId }) => {
-  const sender = users.get(socket.id);
-  if (!sender) {
-    socket.emit('error', { message: '用户未登录' });
-    return;
-  }
+  // 私信：{ toUserId, tokens } 或旧版 { toUserId, html }，同样只能使用自己拥有的词汇
+  socket.on('send-dm', async (payload = {}) => {
+    const session = getSession(socket.id);
+    if (!session) return;
+    const user = getUser(session.userId);
 
-  const message = messages.get(messageId);
-  if (!message) {
-    socket.emit('error', { message: '消息不存在' });
-    return;
-  }
-
-  if (message.username === sender.username) {
-    socket.emit('error', { message: '不能给自己送花哦~' });
-    return;
-  }
-
-  if (!messageRoseSenders.has(messageId)) {
-    messageRoseSenders.set(messageId, new Set());
-  }
-  const senders = messageRoseSenders.get(messageId);
+    if (isMuted(user.mute)) {
+      sendMutedError(socket, user.mute);
+      return;
+    }
 
-  // 找到接收者对象
-  let receiver = null;
-  let receiverSocketId = null;
-  for (const [sid, userData] of users.entries()) {
-    if (userData.username === targetUsername) {
-      receiver = userData;
-      receiverSocketId = sid;
-      break;
+    const { toUserId } = payload;
+    if (typeof toUserId !== 'string') {
+      socket.emit('error', { message: '用户不存在' });
+      return;
     }
-  }
-  if (!receiver) {
-    socket.emit('error', { message: '接收者不在线' });
-    return;
-  }
 
-  const now = Date.now();
-  const lastTime = userLastRoseTime.get(sender.username) || 0;
-  if (!senders.has(sender.username) && (now - lastTime < 1000)) {
-    socket.emit('error', { message: '送花太快了，请稍后再试' });
-    return;
-  }
+    let parsed;
+    try {
+      parsed = parseMessagePayload(payload, user.vocabulary);
+    } catch (error) {
+      socket.emit('error', { message: error instanceof AppError ? error.message : '消息格式错误' });
+      return;
+    }
 
-  // 切换逻辑：如果已经送过 -> 取消；否则新增
-  let action;
-  if (senders.has(sender.username)) {
-    // 取消送花
-    senders.delete(sender.username);
-    message.roses = Math.max(0, (message.roses || 0) - 1);
-    receiver.totalRoses = Math.max(0, (receiver.totalRoses || 0) - 1);
-    userLastRoseTime.set(sender.username, now);
-    action = 'removed';
-  } else {
-    // 新增送花
-    senders.add(sender.username);
-    message.roses = (message.roses || 0) + 1;
-    receiver.totalRoses = (receiver.totalRoses || 0) + 1;
-    userLastRoseTime.set(sender.username, now);
-    action = 'added';
-  }
+    const texts = parsed.tokens.map(t => t.text);
+    const deniedTokens = findUnownedTokens(user.vocabulary, texts);
+    if (deniedTokens.length > 0) {
+      socket.emit('dm-denied', {
+        toUserId,
+        content: ` ACCESS DENIED: 检测到未拥有的词汇 [${deniedTokens.join(', ')}]！私信未发送。`,
+        deniedTokens,
+        timestamp: Date.now()
+      });
+      return;
+    }
 
-  // 更新数据库中的鲜花数
-  try {
-    if (receiver.userId) {
-      await prisma.user.update({
-        where: { id: receiver.userId },
-        data: { totalRoses: receiver.totalRoses }
+    let blockedTokens;
+    try {
+      blockedTokens = await findBlockedTokens(texts);
+    } catch (error) {
+      console.error('加载禁用词错误:', error);
+      socket.emit('error', { message: '私信发送失败，请稍后重试' });
+      return;
+    }
+    if (blockedTokens.length > 0) {
+      socket.emit('dm-denied', {
+        toUserId,
+        content: ` ACCESS DENIED: 包含禁用词汇 [${blockedTokens.join(', ')}]！私信未发送。`,
+        blockedTokens,
+        timestamp: Date.now()
       });
+      return;
+    }
+
+    let message;
+    try {
+      message = toDirectMessage(await sendDirectMessage(user.userId, toUserId, parsed));
+    } catch (error) {
+      if (error instanceof AppError) {
+        socket.emit('error', { message: error.message });
+      } else {
+        console.error('发送私信错误:', error);
+        socket.emit('error', { message: '私信发送失败，请稍后重试' });
+      }
+      return;
     }
-  } catch (error) {
-    console.error('更新数据库鲜花数失败:', error);
-  }
 
-  // 广播更新（明确字段：messageId, roses, totalRoses, sender, receiver, action）
-  io.emit('rose-update', {
-    messageId,
-    roses: message.roses,
-    totalRoses: receiver.totalRoses,
-    sender: sender.username,
-    receiver: receiver.username,
-    action
+    // 同步到发送者的所有会话；接收者在线时立即推送，否则等下次连接时补发
+    io.to(userRoom(user.userId)).emit('direct-message', message);
+    const recipientSockets = await io.in(userRoom(toUserId)).fetchSockets();
+    if (recipientSockets.length > 0) {
+      io.to(userRoom(toUserId)).emit('direct-message', message);
+      markDelivered([message.id]).catch(error => console.error('更新私信推送状态错误:', error));
+    }
   });
 
-  // 广播更新在线用户列表（包含每人 totalRoses）
-  io.emit('users-update', Array.from(users.entries()).map(([id, data]) => ({
-    id,
-    username: data.username,
-    nickname: data.nickname || null,
-    vocabCount: Object.keys(data.inventory || {}).length,
-    roses: data.totalRoses || 0
-  })));
-});
+  // 🌹 送花功能：再次点击同一条消息则取消，作者不在线时同样生效
+  socket.on('send-rose', async ({ messageId } = {}) => {
+    const session = getSession(socket.id);
+    if (!session) {
+      socket.emit('error', { message: '用户未登录' });
+      return;
+    }
+    const sender = getUser(session.userId);
+    if (isMuted(sender.mute)) {
+      sendMutedError(socket, sender.mute);
+      return;
+    }
+    if (typeof messageId !== 'string') {
+      socket.emit('error', { message: '消息不存在' });
+      return;
+    }
 
-  socket.on('update-inventory', (inventory) => {
-    const user = users.get(socket.id);
-    if (user) {
-      user.inventory = inventory;
-      
-      io.emit('users-update', Array.from(users.entries()).map(([id, data]) => ({
-        id,
-        username: data.username,
-        nickname: data.nickname || null,
-        vocabCount: Object.keys(data.inventory).length,
-        roses: data.totalRoses || 0  // 保留鲜花数
-      })));
+    let result;
+    try {
+      const allowed = await store.set(`rose:throttle:${sender.userId}`, Date.now(), {
+        ttlMs: ROSE_INTERVAL_MS,
+        onlyIfAbsent: true
+      });
+      if (!allowed) {
+        socket.emit('error', { message: '送花太快了，请稍后再试' });
+        return;
+      }
+      result = await toggleRose(sender.userId, messageId);
+    } catch (error) {
+      if (error instanceof AppError) {
+        socket.emit('error', { message: error.message });
+      } else {
+        console.error('送花错误:', error);
+        socket.emit('error', { message: '送花失败，请稍后重试' });
+      }
+      return;
+    }
+
+    const { receiver } = result;
+
+    // 广播到消息所在的房间（明确字段：messageId, roses, totalRoses, sender, receiver, action）
+    io.to(roomChannel(result.roomId)).emit('rose-update', {
+      messageId,
+      roomId: result.roomId,
+      roses: result.roses,
+      totalRoses: receiver.totalRoses,
+      sender: sender.username,
+      receiver: receiver.username,
+      action: result.action
+    });
+
+    // 同步接收者在线时的鲜花数，并通知其所在房间
+    try {
+      await updatePresence(receiver.id, { roses: receiver.totalRoses });
+      await emitUserUpdated(receiver.id);
+    } catch (error) {
+      console.error('更新在线状态错误:', error);
     }
   });
 
-  socket.on('disconnect', () => {
-    const user = users.get(socket.id);
-    if (user) {
-      io.emit('message', {
-        type: 'sys',
-        content: `> [${user.username}] 已断开连接。`,
-        timestamp: Date.now()
-      });
-      users.delete(socket.id);
-      
-      io.emit('users-update', Array.from(users.entries()).map(([id, data]) => ({
-        id,
-        username: data.username,
-        nickname: data.nickname || null,
-        vocabCount: Object.keys(data.inventory).length,
-        roses: data.totalRoses || 0
-      })));
+  socket.on('disconnect', async () => {
+    if (socket.data.joining) await socket.data.joining;
+    const session = getSession(socket.id);
+    if (!session) return;
+    const user = getUser(session.userId);
+
+    try {
+      if (session.room) {
+        await leaveRoom(socket, session, user, '已断开连接');
+      }
+      await removeSession(socket.id);
+      // 用户仍有其他连接在线时，更新其连接数
+      await emitUserUpdated(user.userId);
+    } catch (error) {
+      console.error('清理在线状态错误:', error);
     }
   });
 });
 
-// 定期清理旧数据（每小时清理一次超过24小时的消息）
+// 定期断开空闲连接（每分钟检查一次）
 setInterval(() => {
-  const cutoff = Date.now() - 24 * 60 * 60 * 1000;
-  for (const [id, msg] of messages) {
-    if (msg.timestamp < cutoff) {
-      messages.delete(id);
-      messageRoseSenders.delete(id);
-      console.log(`🗑️ 清理旧消息: ${id}`);
+  const cutoff = Date.now() - IDLE_TIMEOUT_MS;
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.data.lastActiveAt < cutoff) {
+      socket.emit('error', { code: 'IDLE_TIMEOUT', message: '长时间未活动，连接已断开' });
+      socket.disconnect(true);
     }
   }
+}, 60 * 1000);
+
+// 定期解除到期的封禁（登录和认证时到期的封禁已视为解除，这里同步数据库状态）
+setInterval(() => {
+  expireBans().catch(error => console.error('解除到期封禁错误:', error));
+}, 60 * 1000);
+
+// 定期清理早已过期或撤销的登录会话
+setInterval(() => {
+  purgeExpiredSessions().catch(error => console.error('清理登录会话错误:', error));
 }, 60 * 60 * 1000);
 
+// 共享在线状态中被清理的连接所在的房间，向房间内推送最新的在线列表
+async function broadcastRoomUsers(roomIds) {
+  for (const roomId of roomIds) {
+    io.to(roomChannel(roomId)).emit('users-update', await usersInRoom(roomId));
+  }
+}
+
+// 实例心跳：定期续期本实例的存活标记，并清理已停止心跳的实例遗留的在线状态
+async function checkInstances() {
+  await heartbeat();
+  await broadcastRoomUsers(await purgeDeadInstances());
+}
+
+setInterval(() => {
+  checkInstances().catch(error => console.error('实例心跳错误:', error));
+}, HEARTBEAT_INTERVAL_MS);
+
+// 开始接受连接前先清理本实例上次运行（使用相同 INSTANCE_ID 时）遗留的在线状态
 const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-  console.log(`🚀 服务器运行在 http://localhost:${PORT}`);
-  console.log(`🌹 送花功能已启用`);
-  console.log(`📡 API 端点: http://localhost:${PORT}/api`);
-});
+purgeInstance(INSTANCE_ID)
+  .then(broadcastRoomUsers)
+  .then(checkInstances)
+  .catch(error => console.error('清理在线状态错误:', error))
+  .finally(() => {
+    server.listen(PORT, () => {
+      console.log(`🚀 服务器运行在 http://localhost:${PORT}`);
+      console.log(`🌹 送花功能已启用`);
+      console.log(`📡 API 端点: http://localhost:${PORT}/api`);
+    });
+  });
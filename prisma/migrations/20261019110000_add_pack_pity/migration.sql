@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "packs" ADD COLUMN     "epicPityThreshold" INTEGER DEFAULT 10,
+ADD COLUMN     "legendaryPityThreshold" INTEGER DEFAULT 50;
+
+-- AlterTable
+ALTER TABLE "user_packs" ADD COLUMN     "epicPity" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "legendaryPity" INTEGER NOT NULL DEFAULT 0;
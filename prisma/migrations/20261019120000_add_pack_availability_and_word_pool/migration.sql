@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "packs" ADD COLUMN     "availableFrom" TIMESTAMP(3),
+ADD COLUMN     "availableUntil" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "pack_words" (
+    "packId" TEXT NOT NULL,
+    "wordId" TEXT NOT NULL,
+
+    CONSTRAINT "pack_words_pkey" PRIMARY KEY ("packId","wordId")
+);
+
+-- AddForeignKey
+ALTER TABLE "pack_words" ADD CONSTRAINT "pack_words_packId_fkey" FOREIGN KEY ("packId") REFERENCES "packs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pack_words" ADD CONSTRAINT "pack_words_wordId_fkey" FOREIGN KEY ("wordId") REFERENCES "words"("id") ON DELETE CASCADE ON UPDATE CASCADE;
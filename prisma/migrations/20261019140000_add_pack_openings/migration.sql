@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "pack_openings" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "packId" TEXT NOT NULL,
+    "openedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "pack_openings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "pack_openings_openedAt_idx" ON "pack_openings"("openedAt");
+
+-- AddForeignKey
+ALTER TABLE "pack_openings" ADD CONSTRAINT "pack_openings_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pack_openings" ADD CONSTRAINT "pack_openings_packId_fkey" FOREIGN KEY ("packId") REFERENCES "packs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "rooms" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "minLevel" INTEGER NOT NULL DEFAULT 1,
+    "allowedRarities" "Rarity"[],
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "rooms_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "rooms_name_key" ON "rooms"("name");
+
+-- 默认大厅，已有消息全部归入大厅
+INSERT INTO "rooms" ("id", "name", "description") VALUES ('lobby', '大厅', '所有玩家都可以发言的公共聊天室');
+
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN     "roomId" TEXT NOT NULL DEFAULT 'lobby';
+
+-- CreateIndex
+CREATE INDEX "messages_roomId_timestamp_idx" ON "messages"("roomId", "timestamp");
+
+-- AddForeignKey
+ALTER TABLE "messages" ADD CONSTRAINT "messages_roomId_fkey" FOREIGN KEY ("roomId") REFERENCES "rooms"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
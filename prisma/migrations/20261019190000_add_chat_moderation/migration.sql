@@ -0,0 +1,42 @@
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN     "deleteReason" TEXT,
+ADD COLUMN     "deletedAt" TIMESTAMP(3),
+ADD COLUMN     "deletedById" TEXT;
+
+-- CreateTable
+CREATE TABLE "chat_mutes" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "issuedById" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "liftedAt" TIMESTAMP(3),
+    "liftedById" TEXT,
+    "liftReason" TEXT,
+
+    CONSTRAINT "chat_mutes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "blocked_words" (
+    "id" TEXT NOT NULL,
+    "word" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "createdById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "removedAt" TIMESTAMP(3),
+    "removedById" TEXT,
+    "removeReason" TEXT,
+
+    CONSTRAINT "blocked_words_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "chat_mutes_userId_expiresAt_idx" ON "chat_mutes"("userId", "expiresAt");
+
+-- CreateIndex
+CREATE INDEX "blocked_words_word_idx" ON "blocked_words"("word");
+
+-- AddForeignKey
+ALTER TABLE "chat_mutes" ADD CONSTRAINT "chat_mutes_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
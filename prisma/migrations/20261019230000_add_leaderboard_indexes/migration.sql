@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX "user_words_obtainedAt_idx" ON "user_words"("obtainedAt");
+
+-- CreateIndex
+CREATE INDEX "rose_senders_sentAt_idx" ON "rose_senders"("sentAt");
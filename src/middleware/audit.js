@@ -0,0 +1,37 @@
+const { recordAudit } = require('../services/audit');
+
+// 管理接口审计：挂在管理路由上，所有成功（2xx）的非 GET 请求都会写入审计日志
+// 处理函数通过 req.audit({ action, targetType, targetId, before, after }) 补充操作名称和前后数据，
+// 未调用时按 "方法 路径" 记录，保证以后新增的管理接口也不会漏记
+const auditAdminActions = (req, res, next) => {
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') {
+    return next();
+  }
+
+  let details = {};
+  req.audit = (fields) => {
+    details = { ...details, ...fields };
+  };
+
+  res.on('finish', () => {
+    if (!req.user || res.statusCode < 200 || res.statusCode >= 300) return;
+
+    const routePath = req.route ? req.route.path : req.path;
+    recordAudit({
+      actor: req.user,
+      action: details.action || `${req.method} ${req.baseUrl}${routePath}`,
+      targetType: details.targetType,
+      targetId: details.targetId || Object.values(req.params || {})[0],
+      before: details.before,
+      after: details.after,
+      reason: details.reason || (typeof req.body?.reason === 'string' ? req.body.reason.trim() : undefined),
+      ip: req.ip
+    }).catch(error => {
+      console.error('写入审计日志错误:', error);
+    });
+  });
+
+  next();
+};
+
+module.exports = { auditAdminActions };
@@ -1,6 +1,52 @@
 const jwt = require('jsonwebtoken');
+const prisma = require('../db/prisma');
+const { getBanInfo } = require('../services/bans');
+const { getActiveSession } = require('../services/sessions');
 
-const authenticateToken = (req, res, next) => {
+// 访问令牌过期时返回 code: 'TOKEN_EXPIRED'，客户端应使用刷新令牌换取新令牌
+function tokenError(err) {
+  return err.name === 'TokenExpiredError'
+    ? { code: 'TOKEN_EXPIRED', message: '令牌已过期' }
+    : { code: 'INVALID_TOKEN', message: '令牌无效或已过期' };
+}
+
+// 令牌有效后还要检查账号和会话状态：用户被删除、封禁或会话被撤销时立即失效，不必等令牌过期
+// 通过时返回 null，否则返回 { status, body } 作为错误响应
+async function checkAccount(payload) {
+  const [user, session] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: payload.userId },
+      select: { id: true, isBanned: true, bannedUntil: true }
+    }),
+    getActiveSession(payload.sessionId)
+  ]);
+
+  if (!user) {
+    return { status: 401, body: { success: false, error: '用户不存在' } };
+  }
+
+  if (!session || session.userId !== user.id) {
+    return { status: 401, body: { success: false, error: '登录已失效，请重新登录', code: 'SESSION_REVOKED' } };
+  }
+
+  const ban = await getBanInfo(user);
+  if (ban) {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        error: ban.message,
+        code: 'BANNED',
+        bannedUntil: ban.bannedUntil,
+        reason: ban.reason
+      }
+    };
+  }
+
+  return null;
+}
+
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -8,13 +54,53 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ success: false, error: '未提供认证令牌' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ success: false, error: '令牌无效或已过期' });
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    const { code, message } = tokenError(err);
+    return res.status(403).json({ success: false, error: message, code });
+  }
+
+  try {
+    const failure = await checkAccount(payload);
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
+
+    req.user = payload;
+    next();
+  } catch (error) {
+    console.error('认证错误:', error);
+    res.status(500).json({ success: false, error: '服务器错误' });
+  }
+};
+
+// 可选认证：携带有效令牌时设置 req.user；未携带令牌、令牌无效，或会话已撤销、账号被封禁时按游客处理
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return next();
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return next();
+  }
+
+  try {
+    if (!(await checkAccount(payload))) {
+      req.user = payload;
     }
-    req.user = user;
     next();
-  });
+  } catch (error) {
+    console.error('认证错误:', error);
+    res.status(500).json({ success: false, error: '服务器错误' });
+  }
 };
 
 const requireRole = (...allowedRoles) => {
@@ -31,4 +117,67 @@ const requireRole = (...allowedRoles) => {
   };
 };
 
-module.exports = { authenticateToken, requireRole };
+// Socket.IO 握手认证：令牌通过 auth.token（或 ?token=）传入
+// 认证通过后 socket.data.user 为数据库中的用户信息、socket.data.sessionId 为登录会话，被封禁用户拒绝连接
+const socketError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.data = { code, message, ...details };
+  return error;
+};
+
+const authenticateSocket = async (socket, next) => {
+  const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+
+  if (!token) {
+    return next(socketError('UNAUTHORIZED', '未提供认证令牌'));
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    const { code, message } = tokenError(err);
+    return next(socketError(code, message));
+  }
+
+  try {
+    const [user, session] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: payload.userId },
+        select: {
+          id: true,
+          username: true,
+          nickname: true,
+          role: true,
+          level: true,
+          totalRoses: true,
+          isBanned: true,
+          bannedUntil: true
+        }
+      }),
+      getActiveSession(payload.sessionId)
+    ]);
+
+    if (!user) {
+      return next(socketError('UNAUTHORIZED', '用户不存在'));
+    }
+
+    if (!session || session.userId !== user.id) {
+      return next(socketError('SESSION_REVOKED', '登录已失效，请重新登录'));
+    }
+
+    const ban = await getBanInfo(user);
+    if (ban) {
+      return next(socketError('BANNED', ban.message, { bannedUntil: ban.bannedUntil, reason: ban.reason }));
+    }
+
+    socket.data.user = user;
+    socket.data.sessionId = session.id;
+    next();
+  } catch (error) {
+    console.error('Socket 认证错误:', error);
+    next(socketError('SERVER_ERROR', '服务器错误'));
+  }
+};
+
+module.exports = { authenticateToken, optionalAuth, requireRole, authenticateSocket };
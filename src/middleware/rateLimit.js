@@ -0,0 +1,59 @@
+const { consume, reset } = require('../services/rateLimit');
+
+// 统一的 429 响应：Retry-After 头和 retryAfter 字段均为秒数
+function sendRateLimited(res, retryAfterMs, action) {
+  const seconds = Math.ceil(retryAfterMs / 1000);
+  const wait = seconds >= 60 ? `${Math.ceil(seconds / 60)} 分钟` : `${seconds} 秒`;
+  res.set('Retry-After', String(seconds));
+  res.status(429).json({
+    success: false,
+    error: `${action}尝试次数过多，请 ${wait}后再试`,
+    code: 'RATE_LIMITED',
+    retryAfter: seconds
+  });
+}
+
+// 用户名不区分大小写计数，避免换大小写绕过限制
+function normalizeUsername(username) {
+  return typeof username === 'string' ? username.trim().toLowerCase().slice(0, 50) : '';
+}
+
+// 登录限流：按 IP、以及 IP 对每个用户名分别计数，超出后逐级延长锁定时间；登录成功后清空该 IP 对该用户名的计数
+// 限流存储出错时放行，不影响正常登录
+const limitLogin = async (req, res, next) => {
+  const username = normalizeUsername(req.body?.username);
+  const userKey = `${username}:${req.ip}`;
+
+  try {
+    const retryAfterMs = await consume('login-ip', req.ip)
+      || (username && await consume('login-user-ip', userKey));
+    if (retryAfterMs) {
+      return sendRateLimited(res, retryAfterMs, '登录');
+    }
+  } catch (error) {
+    console.error('登录限流错误:', error);
+    return next();
+  }
+
+  res.on('finish', () => {
+    if (username && res.statusCode === 200) {
+      reset('login-user-ip', userKey).catch(error => console.error('登录限流错误:', error));
+    }
+  });
+  next();
+};
+
+// 注册限流：同一 IP 在窗口内的注册请求数
+const limitRegistration = async (req, res, next) => {
+  try {
+    const retryAfterMs = await consume('register-ip', req.ip);
+    if (retryAfterMs) {
+      return sendRateLimited(res, retryAfterMs, '注册');
+    }
+  } catch (error) {
+    console.error('注册限流错误:', error);
+  }
+  next();
+};
+
+module.exports = { limitLogin, limitRegistration };
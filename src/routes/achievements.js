@@ -0,0 +1,48 @@
+const express = require('express');
+const prisma = require('../db/prisma');
+const { optionalAuth } = require('../middleware/auth');
+const { maskAchievement, formatAchievement } = require('../services/achievements');
+
+const router = express.Router();
+
+// GET /api/achievements - 获取所有成就列表（隐藏成就在当前用户解锁前只显示占位信息）
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { category } = req.query;
+
+    const where = {};
+    if (category) where.category = category;
+
+    const [achievements, unlocked] = await Promise.all([
+      prisma.achievement.findMany({
+        where,
+        orderBy: { createdAt: 'asc' }
+      }),
+      req.user
+        ? prisma.userAchievement.findMany({
+            where: { userId: req.user.userId },
+            select: { achievementId: true }
+          })
+        : []
+    ]);
+
+    const unlockedIds = new Set(unlocked.map(ua => ua.achievementId));
+
+    res.json({
+      success: true,
+      data: {
+        achievements: achievements.map(a =>
+          a.isHidden && !unlockedIds.has(a.id) ? maskAchievement(a) : formatAchievement(a)
+        )
+      }
+    });
+  } catch (error) {
+    console.error('获取成就列表错误:', error);
+    res.status(500).json({
+      success: false,
+      error: '服务器错误'
+    });
+  }
+});
+
+module.exports = router;
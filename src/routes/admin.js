@@ -1,9 +1,25 @@
 const express = require('express');
 const prisma = require('../db/prisma');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validatePackInput, grantPack } = require('../services/packs');
+const { validateWordInput, parseImportRows, importWords } = require('../services/words');
+const { validateCollectionInput } = require('../services/collections');
+const { disconnectUser } = require('../services/notifications');
+const { DEFAULT_ROOM_ID, roomSelect, formatRoom, validateRoomInput } = require('../services/rooms');
+const { deleteMessage } = require('../services/messages');
+const { validateReason, validateMuteDuration, toMuteState, getActiveMute } = require('../services/moderation');
+const { validateBanDuration, banUser, unbanUser } = require('../services/bans');
+const { revokeAllSessions } = require('../services/sessions');
+const { gameEvents } = require('../services/events');
+const { buildAuditWhere } = require('../services/audit');
+const { auditAdminActions } = require('../middleware/audit');
+const { AppError } = require('../utils/errors');
 
 const router = express.Router();
 
+// 所有管理操作写入审计日志
+router.use(auditAdminActions);
+
 // PUT /api/admin/users/:userId/role - 修改用户角色（仅超级管理员）
 router.put('/users/:userId/role', authenticateToken, requireRole('SUPER_ADMIN'), async (req, res) => {
   try {
@@ -17,6 +33,11 @@ router.put('/users/:userId/role', authenticateToken, requireRole('SUPER_ADMIN'),
       });
     }
 
+    const previous = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { role: true }
+    });
+
     const user = await prisma.user.update({
       where: { id: userId },
       data: { role },
@@ -27,6 +48,20 @@ router.put('/users/:userId/role', authenticateToken, requireRole('SUPER_ADMIN'),
       }
     });
 
+    req.audit({
+      action: 'user.role.update',
+      targetType: 'user',
+      targetId: user.id,
+      before: previous,
+      after: { role: user.role }
+    });
+
+    // 令牌中带有角色，角色变化后该用户的所有登录会话失效，重新登录后获得新角色
+    if (previous && previous.role !== user.role) {
+      await revokeAllSessions(user.id, '角色变更');
+      disconnectUser(user.id, { code: 'SESSION_REVOKED', message: '账号角色已变更，请重新登录' });
+    }
+
     res.json({
       success: true,
       data: {
@@ -78,6 +113,7 @@ router.get('/users', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), asy
           role: true,
           totalRoses: true,
           isBanned: true,
+          bannedUntil: true,
           registeredAt: true,
           lastLoginAt: true
         },
@@ -108,10 +144,12 @@ router.get('/users', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), asy
 });
 
 // POST /api/admin/users/:userId/ban - 封禁用户（管理员权限）
+// 请求体：{ reason, duration?: 秒数 }，不填 duration 或为 0 表示永久封禁，到期后自动解除
 router.post('/users/:userId/ban', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { reason, duration } = req.body;
+    const reason = validateReason(req.body.reason);
+    const duration = validateBanDuration(req.body.duration);
 
     // 不能封禁自己
     if (userId === req.user.userId) {
@@ -141,25 +179,42 @@ router.post('/users/:userId/ban', authenticateToken, requireRole('SUPER_ADMIN',
       });
     }
 
-    const user = await prisma.user.update({
-      where: { id: userId },
-      data: { isBanned: true },
-      select: {
-        id: true,
-        isBanned: true
-      }
+    const ban = await banUser(userId, { issuedById: req.user.userId, reason, duration });
+    await revokeAllSessions(userId, '账号被封禁');
+
+    req.audit({
+      action: 'user.ban',
+      targetType: 'user',
+      targetId: userId,
+      after: { banId: ban.id, bannedUntil: ban.expiresAt }
+    });
+
+    // 登录会话已全部撤销，断开该用户当前的聊天连接（所有实例）
+    disconnectUser(userId, {
+      code: 'BANNED',
+      message: '你已被封禁',
+      bannedUntil: ban.expiresAt,
+      reason
     });
 
     res.json({
       success: true,
       data: {
-        userId: user.id,
-        isBanned: user.isBanned,
-        bannedUntil: duration > 0 ? new Date(Date.now() + duration * 1000) : null
+        banId: ban.id,
+        userId,
+        isBanned: true,
+        reason: ban.reason,
+        bannedUntil: ban.expiresAt
       }
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
     console.error('封禁用户错误:', error);
     res.status(500).json({ 
       success: false, 
@@ -169,35 +224,1247 @@ router.post('/users/:userId/ban', authenticateToken, requireRole('SUPER_ADMIN',
 });
 
 // POST /api/admin/users/:userId/unban - 解封用户（管理员权限）
+// 请求体：{ reason }
 router.post('/users/:userId/unban', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
   try {
     const { userId } = req.params;
+    const reason = validateReason(req.body.reason);
 
-    const user = await prisma.user.update({
+    const lifted = await unbanUser(userId, { liftedById: req.user.userId, reason });
+
+    req.audit({
+      action: 'user.unban',
+      targetType: 'user',
+      targetId: userId,
+      after: { lifted }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        userId,
+        isBanned: false,
+        lifted
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    console.error('解封用户错误:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ 
+        success: false, 
+        error: '用户不存在' 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// GET /api/admin/users/:userId/bans - 用户的封禁记录（按时间倒序）
+router.get('/users/:userId/bans', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const bans = await prisma.userBan.findMany({
+      where: { userId: req.params.userId },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const now = Date.now();
+    res.json({
+      success: true,
+      data: {
+        bans: bans.map(b => ({
+          ...b,
+          isActive: !b.liftedAt && (!b.expiresAt || b.expiresAt.getTime() > now)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('获取封禁记录错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// POST /api/admin/users/:userId/mute - 禁言用户（管理员权限），禁言期间不能发送聊天消息和送花
+// 请求体：{ duration: 秒数, reason }
+router.post('/users/:userId/mute', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const reason = validateReason(req.body.reason);
+    const duration = validateMuteDuration(req.body.duration);
+
+    if (userId === req.user.userId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '不能禁言自己' 
+      });
+    }
+
+    const targetUser = await prisma.user.findUnique({
       where: { id: userId },
-      data: { isBanned: false },
+      select: { role: true }
+    });
+
+    if (!targetUser) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '用户不存在' 
+      });
+    }
+
+    if (req.user.role === 'ADMIN' && targetUser.role === 'SUPER_ADMIN') {
+      return res.status(403).json({ 
+        success: false, 
+        error: '管理员不能禁言超级管理员' 
+      });
+    }
+
+    const mute = await prisma.chatMute.create({
+      data: {
+        userId,
+        reason,
+        issuedById: req.user.userId,
+        expiresAt: new Date(Date.now() + duration * 1000)
+      }
+    });
+
+    req.audit({
+      action: 'user.mute',
+      targetType: 'user',
+      targetId: userId,
+      after: { muteId: mute.id, expiresAt: mute.expiresAt }
+    });
+
+    // 同一用户有多条禁言时以到期最晚的为准
+    gameEvents.emit('mute-updated', { userId, mute: toMuteState(await getActiveMute(userId)) });
+
+    res.json({
+      success: true,
+      data: {
+        muteId: mute.id,
+        userId: mute.userId,
+        reason: mute.reason,
+        expiresAt: mute.expiresAt
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    console.error('禁言用户错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// POST /api/admin/users/:userId/unmute - 提前解除禁言（管理员权限）
+// 请求体：{ reason }
+router.post('/users/:userId/unmute', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const reason = validateReason(req.body.reason);
+
+    const { count } = await prisma.chatMute.updateMany({
+      where: { userId, liftedAt: null, expiresAt: { gt: new Date() } },
+      data: {
+        liftedAt: new Date(),
+        liftedById: req.user.userId,
+        liftReason: reason
+      }
+    });
+
+    if (count === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '该用户未被禁言' 
+      });
+    }
+
+    req.audit({
+      action: 'user.unmute',
+      targetType: 'user',
+      targetId: userId,
+      after: { lifted: count }
+    });
+
+    gameEvents.emit('mute-updated', { userId, mute: null });
+
+    res.json({
+      success: true,
+      data: { userId, lifted: count }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    console.error('解除禁言错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// GET /api/admin/users/:userId/mutes - 用户的禁言记录（按时间倒序）
+router.get('/users/:userId/mutes', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const mutes = await prisma.chatMute.findMany({
+      where: { userId: req.params.userId },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const now = Date.now();
+    res.json({
+      success: true,
+      data: {
+        mutes: mutes.map(m => ({
+          ...m,
+          isActive: !m.liftedAt && m.expiresAt.getTime() > now
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('获取禁言记录错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// 管理员视角的卡包数据
+const adminPackSelect = {
+  id: true,
+  name: true,
+  description: true,
+  cardCount: true,
+  weights: true,
+  epicPityThreshold: true,
+  legendaryPityThreshold: true,
+  isActive: true,
+  availableFrom: true,
+  availableUntil: true,
+  createdAt: true,
+  _count: { select: { packWords: true } }
+};
+
+function formatAdminPack(pack) {
+  const { _count, ...rest } = pack;
+  return { ...rest, wordPoolSize: _count.packWords };
+}
+
+// 校验词池中的单词是否都存在
+async function assertWordsExist(client, wordIds) {
+  if (wordIds.length === 0) return;
+  const found = await client.word.count({ where: { id: { in: wordIds } } });
+  if (found !== wordIds.length) {
+    throw new AppError(400, 'wordIds 中包含不存在的单词');
+  }
+}
+
+// GET /api/admin/packs - 获取全部卡包（含已停用、未上架）
+router.get('/packs', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const { isActive } = req.query;
+
+    const where = {};
+    if (isActive !== undefined) where.isActive = isActive === 'true';
+
+    const packs = await prisma.pack.findMany({
+      where,
+      select: adminPackSelect,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: { packs: packs.map(formatAdminPack) }
+    });
+
+  } catch (error) {
+    console.error('获取卡包列表错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// POST /api/admin/packs - 创建卡包
+router.post('/packs', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const { data, wordIds = [] } = validatePackInput(req.body);
+
+    const pack = await prisma.$transaction(async (tx) => {
+      await assertWordsExist(tx, wordIds);
+      return tx.pack.create({
+        data: {
+          ...data,
+          packWords: { create: wordIds.map(wordId => ({ wordId })) }
+        },
+        select: adminPackSelect
+      });
+    });
+
+    req.audit({
+      action: 'pack.create',
+      targetType: 'pack',
+      targetId: pack.id,
+      after: { ...formatAdminPack(pack), wordIds }
+    });
+
+    res.json({
+      success: true,
+      data: formatAdminPack(pack)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    console.error('创建卡包错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// PUT /api/admin/packs/:packId - 编辑卡包（只修改提供的字段，wordIds 会整体替换词池）
+router.put('/packs/:packId', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const { packId } = req.params;
+    const { data, wordIds } = validatePackInput(req.body, { partial: true });
+
+    let before;
+    const pack = await prisma.$transaction(async (tx) => {
+      const existing = await tx.pack.findUnique({ where: { id: packId }, select: adminPackSelect });
+      if (!existing) {
+        throw new AppError(404, '卡包不存在');
+      }
+      before = formatAdminPack(existing);
+
+      // 只改了其中一个时间时，需要和原有的另一个时间一起校验
+      const availableFrom = data.availableFrom !== undefined ? data.availableFrom : existing.availableFrom;
+      const availableUntil = data.availableUntil !== undefined ? data.availableUntil : existing.availableUntil;
+      if (availableFrom && availableUntil && availableFrom >= availableUntil) {
+        throw new AppError(400, '上架时间必须早于下架时间');
+      }
+
+      if (wordIds !== undefined) {
+        await assertWordsExist(tx, wordIds);
+        await tx.packWord.deleteMany({ where: { packId } });
+        if (wordIds.length > 0) {
+          await tx.packWord.createMany({
+            data: wordIds.map(wordId => ({ packId, wordId }))
+          });
+        }
+      }
+
+      return tx.pack.update({
+        where: { id: packId },
+        data,
+        select: adminPackSelect
+      });
+    });
+
+    req.audit({
+      action: 'pack.update',
+      targetType: 'pack',
+      targetId: packId,
+      before,
+      after: { ...formatAdminPack(pack), wordIds }
+    });
+
+    res.json({
+      success: true,
+      data: formatAdminPack(pack)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    console.error('编辑卡包错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// DELETE /api/admin/packs/:packId - 停用卡包（软删除，用户已有的卡包仍可开启）
+router.delete('/packs/:packId', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const { packId } = req.params;
+
+    const pack = await prisma.pack.update({
+      where: { id: packId },
+      data: { isActive: false },
       select: {
         id: true,
-        isBanned: true
+        isActive: true
       }
     });
 
+    req.audit({
+      action: 'pack.deactivate',
+      targetType: 'pack',
+      targetId: pack.id,
+      after: { isActive: pack.isActive }
+    });
+
     res.json({
       success: true,
       data: {
-        userId: user.id,
-        isBanned: user.isBanned
+        packId: pack.id,
+        isActive: pack.isActive
       }
     });
 
   } catch (error) {
-    console.error('解封用户错误:', error);
+    console.error('停用卡包错误:', error);
     if (error.code === 'P2025') {
       return res.status(404).json({ 
         success: false, 
-        error: '用户不存在' 
+        error: '卡包不存在' 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// POST /api/admin/packs/:packId/grant - 给用户发放卡包
+router.post('/packs/:packId/grant', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const { packId } = req.params;
+    const { userId, count = 1 } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '缺少用户ID' 
+      });
+    }
+
+    if (!Number.isInteger(count) || count < 1) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '发放数量必须是正整数' 
+      });
+    }
+
+    const [pack, user] = await Promise.all([
+      prisma.pack.findUnique({ where: { id: packId }, select: { id: true } }),
+      prisma.user.findUnique({ where: { id: userId }, select: { id: true } })
+    ]);
+
+    if (!pack) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '卡包不存在' 
+      });
+    }
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '用户不存在' 
+      });
+    }
+
+    const userPack = await prisma.$transaction(tx => grantPack(tx, userId, packId, count));
+
+    req.audit({
+      action: 'pack.grant',
+      targetType: 'user',
+      targetId: userId,
+      after: { packId, granted: count, count: userPack.count }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        userId: userPack.userId,
+        packId: userPack.packId,
+        count: userPack.count
+      }
+    });
+
+  } catch (error) {
+    console.error('发放卡包错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// POST /api/admin/words - 添加新单词
+router.post('/words', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const data = validateWordInput(req.body);
+
+    const word = await prisma.word.create({ data });
+
+    req.audit({
+      action: 'word.create',
+      targetType: 'word',
+      targetId: word.id,
+      after: word
+    });
+
+    res.json({
+      success: true,
+      data: {
+        wordId: word.id,
+        word: word.word,
+        definition: word.definition,
+        rarity: word.rarity,
+        pronunciation: word.pronunciation,
+        partOfSpeech: word.partOfSpeech,
+        variants: word.variants
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ 
+        success: false, 
+        error: '单词已存在' 
+      });
+    }
+    console.error('添加单词错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// POST /api/admin/words/import - 批量导入单词（JSON 或 CSV，支持 dryRun 预检）
+router.post('/words/import', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const { dryRun = false, onConflict = 'skip' } = req.body;
+
+    if (!['skip', 'update'].includes(onConflict)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'onConflict 必须是 skip 或 update' 
+      });
+    }
+
+    const { rows, firstRow } = parseImportRows(req.body);
+    const result = await importWords(rows, { dryRun: dryRun === true, onConflict, firstRow });
+
+    req.audit({
+      action: 'word.import',
+      targetType: 'word',
+      after: {
+        dryRun: result.dryRun,
+        onConflict,
+        total: result.total,
+        created: result.created,
+        updated: result.updated,
+        skipped: result.skipped.length,
+        errors: result.errors.length
+      }
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    console.error('导入单词错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// PUT /api/admin/words/:wordId - 编辑单词（只修改提供的字段）
+router.put('/words/:wordId', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const { wordId } = req.params;
+    const data = validateWordInput(req.body, { partial: true });
+
+    const before = await prisma.word.findUnique({ where: { id: wordId } });
+
+    const word = await prisma.word.update({
+      where: { id: wordId },
+      data
+    });
+
+    req.audit({
+      action: 'word.update',
+      targetType: 'word',
+      targetId: word.id,
+      before,
+      after: word
+    });
+
+    res.json({
+      success: true,
+      data: {
+        wordId: word.id,
+        word: word.word,
+        definition: word.definition,
+        rarity: word.rarity,
+        pronunciation: word.pronunciation,
+        partOfSpeech: word.partOfSpeech,
+        variants: word.variants
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    if (error.code === 'P2025') {
+      return res.status(404).json({ 
+        success: false, 
+        error: '单词不存在' 
+      });
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ 
+        success: false, 
+        error: '单词已存在' 
+      });
+    }
+    console.error('编辑单词错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// DELETE /api/admin/words/:wordId - 删除单词（同时从用户库存、图鉴和卡包词池中移除）
+router.delete('/words/:wordId', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const { wordId } = req.params;
+
+    const word = await prisma.word.delete({
+      where: { id: wordId }
+    });
+
+    req.audit({
+      action: 'word.delete',
+      targetType: 'word',
+      targetId: word.id,
+      before: word
+    });
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('删除单词错误:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ 
+        success: false, 
+        error: '单词不存在' 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// 管理员视角的图鉴数据
+const adminCollectionSelect = {
+  id: true,
+  name: true,
+  description: true,
+  icon: true,
+  rewardRoses: true,
+  createdAt: true,
+  wordCollections: { select: { wordId: true } },
+  _count: { select: { userCollections: true } }
+};
+
+function formatAdminCollection(collection) {
+  const { wordCollections, _count, ...rest } = collection;
+  return {
+    ...rest,
+    wordIds: wordCollections.map(wc => wc.wordId),
+    completedCount: _count.userCollections
+  };
+}
+
+// POST /api/admin/collections - 创建图鉴
+router.post('/collections', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const { data, wordIds } = validateCollectionInput(req.body);
+
+    const collection = await prisma.$transaction(async (tx) => {
+      await assertWordsExist(tx, wordIds);
+      return tx.collection.create({
+        data: {
+          ...data,
+          wordCollections: { create: wordIds.map(wordId => ({ wordId })) }
+        },
+        select: adminCollectionSelect
+      });
+    });
+
+    req.audit({
+      action: 'collection.create',
+      targetType: 'collection',
+      targetId: collection.id,
+      after: formatAdminCollection(collection)
+    });
+
+    res.json({
+      success: true,
+      data: formatAdminCollection(collection)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    console.error('创建图鉴错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// PUT /api/admin/collections/:collectionId - 编辑图鉴（wordIds 会整体替换图鉴单词）
+// 已完成的记录和发放过的奖励不会因为单词变动而撤销
+router.put('/collections/:collectionId', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const { collectionId } = req.params;
+    const { data, wordIds } = validateCollectionInput(req.body, { partial: true });
+
+    let before;
+    const collection = await prisma.$transaction(async (tx) => {
+      const existing = await tx.collection.findUnique({ where: { id: collectionId }, select: adminCollectionSelect });
+      if (!existing) {
+        throw new AppError(404, '图鉴不存在');
+      }
+      before = formatAdminCollection(existing);
+
+      if (wordIds !== undefined) {
+        await assertWordsExist(tx, wordIds);
+        await tx.wordCollection.deleteMany({ where: { collectionId } });
+        if (wordIds.length > 0) {
+          await tx.wordCollection.createMany({
+            data: wordIds.map(wordId => ({ collectionId, wordId }))
+          });
+        }
+      }
+
+      return tx.collection.update({
+        where: { id: collectionId },
+        data,
+        select: adminCollectionSelect
+      });
+    });
+
+    req.audit({
+      action: 'collection.update',
+      targetType: 'collection',
+      targetId: collectionId,
+      before,
+      after: formatAdminCollection(collection)
+    });
+
+    res.json({
+      success: true,
+      data: formatAdminCollection(collection)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    console.error('编辑图鉴错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// DELETE /api/admin/collections/:collectionId - 删除图鉴
+router.delete('/collections/:collectionId', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const { collectionId } = req.params;
+
+    const collection = await prisma.collection.delete({
+      where: { id: collectionId },
+      select: adminCollectionSelect
+    });
+
+    req.audit({
+      action: 'collection.delete',
+      targetType: 'collection',
+      targetId: collection.id,
+      before: formatAdminCollection(collection)
+    });
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('删除图鉴错误:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ 
+        success: false, 
+        error: '图鉴不存在' 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// GET /api/admin/rooms - 获取所有聊天房间（包含已停用的）
+router.get('/rooms', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const rooms = await prisma.room.findMany({
+      select: roomSelect,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: { rooms: rooms.map(formatRoom) }
+    });
+
+  } catch (error) {
+    console.error('获取房间列表错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// POST /api/admin/rooms - 创建聊天房间
+// 请求体：{ name, description?, minLevel?, allowedRarities?: ['EPIC', 'LEGENDARY'] }
+router.post('/rooms', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const data = validateRoomInput(req.body);
+
+    const room = await prisma.room.create({
+      data,
+      select: roomSelect
+    });
+
+    req.audit({
+      action: 'room.create',
+      targetType: 'room',
+      targetId: room.id,
+      after: formatRoom(room)
+    });
+
+    res.json({
+      success: true,
+      data: formatRoom(room)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ 
+        success: false, 
+        error: '房间名称已存在' 
+      });
+    }
+    console.error('创建房间错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// PUT /api/admin/rooms/:roomId - 编辑房间信息和规则，房间内的在线用户立即生效
+// 请求体可包含 isActive: true 重新启用已停用的房间
+router.put('/rooms/:roomId', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const data = validateRoomInput(req.body, { partial: true });
+
+    if (roomId === DEFAULT_ROOM_ID && data.isActive === false) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '不能停用大厅' 
+      });
+    }
+
+    const before = await prisma.room.findUnique({ where: { id: roomId }, select: roomSelect });
+
+    const room = await prisma.room.update({
+      where: { id: roomId },
+      data,
+      select: roomSelect
+    });
+
+    req.audit({
+      action: 'room.update',
+      targetType: 'room',
+      targetId: room.id,
+      before: before && formatRoom(before),
+      after: formatRoom(room)
+    });
+
+    gameEvents.emit('room-updated', { room });
+
+    res.json({
+      success: true,
+      data: formatRoom(room)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ 
+        success: false, 
+        error: '房间名称已存在' 
+      });
+    }
+    if (error.code === 'P2025') {
+      return res.status(404).json({ 
+        success: false, 
+        error: '房间不存在' 
+      });
+    }
+    console.error('编辑房间错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// DELETE /api/admin/rooms/:roomId - 停用房间（保留历史消息），房间内的用户回到大厅
+router.delete('/rooms/:roomId', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    if (roomId === DEFAULT_ROOM_ID) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '不能停用大厅' 
+      });
+    }
+
+    const room = await prisma.room.update({
+      where: { id: roomId },
+      data: { isActive: false },
+      select: roomSelect
+    });
+
+    req.audit({
+      action: 'room.deactivate',
+      targetType: 'room',
+      targetId: room.id,
+      after: { isActive: room.isActive }
+    });
+
+    gameEvents.emit('room-updated', { room });
+
+    res.json({
+      success: true,
+      data: {
+        roomId: room.id,
+        isActive: room.isActive
+      }
+    });
+
+  } catch (error) {
+    console.error('停用房间错误:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ 
+        success: false, 
+        error: '房间不存在' 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// DELETE /api/admin/messages/:messageId - 删除聊天消息，房间内的用户立即移除该消息
+// 请求体：{ reason }
+router.delete('/messages/:messageId', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const reason = validateReason(req.body.reason);
+    const result = await deleteMessage(req.params.messageId, req.user.userId, reason);
+
+    req.audit({
+      action: 'message.delete',
+      targetType: 'message',
+      targetId: result.messageId,
+      before: { roomId: result.roomId, userId: result.userId }
+    });
+
+    gameEvents.emit('message-deleted', { messageId: result.messageId, roomId: result.roomId, reason });
+
+    res.json({
+      success: true,
+      data: { ...result, reason }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    console.error('删除消息错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// GET /api/admin/blocked-words - 获取聊天禁用词列表
+router.get('/blocked-words', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const words = await prisma.blockedWord.findMany({
+      where: { removedAt: null },
+      orderBy: { word: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: { words }
+    });
+
+  } catch (error) {
+    console.error('获取禁用词错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// POST /api/admin/blocked-words - 添加聊天禁用词（单词表中登记的变体，以及按该词词性的规则变化的词形同样禁用，如 kills、killed、killing）
+// 请求体：{ word, reason }
+router.post('/blocked-words', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const reason = validateReason(req.body.reason);
+    const word = typeof req.body.word === 'string' ? req.body.word.trim().toLowerCase() : '';
+
+    if (!word || /\s/.test(word) || word.length > 50) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '请输入单个单词（不超过50个字符）' 
+      });
+    }
+
+    const existing = await prisma.blockedWord.findFirst({
+      where: { word, removedAt: null },
+      select: { id: true }
+    });
+    if (existing) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '该单词已在禁用词表中' 
+      });
+    }
+
+    const blockedWord = await prisma.blockedWord.create({
+      data: { word, reason, createdById: req.user.userId }
+    });
+
+    req.audit({
+      action: 'blocked_word.create',
+      targetType: 'blocked_word',
+      targetId: blockedWord.id,
+      after: { word }
+    });
+
+    gameEvents.emit('blocklist-updated', {});
+
+    res.json({
+      success: true,
+      data: blockedWord
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    console.error('添加禁用词错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// DELETE /api/admin/blocked-words/:blockedWordId - 移除聊天禁用词（保留记录）
+// 请求体：{ reason }
+router.delete('/blocked-words/:blockedWordId', authenticateToken, requireRole('SUPER_ADMIN', 'ADMIN'), async (req, res) => {
+  try {
+    const reason = validateReason(req.body.reason);
+
+    const { count } = await prisma.blockedWord.updateMany({
+      where: { id: req.params.blockedWordId, removedAt: null },
+      data: {
+        removedAt: new Date(),
+        removedById: req.user.userId,
+        removeReason: reason
+      }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '禁用词不存在' 
+      });
+    }
+
+    req.audit({
+      action: 'blocked_word.remove',
+      targetType: 'blocked_word',
+      targetId: req.params.blockedWordId
+    });
+
+    gameEvents.emit('blocklist-updated', {});
+
+    res.json({
+      success: true,
+      data: { blockedWordId: req.params.blockedWordId, removed: true }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    console.error('移除禁用词错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// GET /api/admin/audit - 查询审计日志（仅超级管理员）
+// 筛选：actorId、targetType、targetId、action（以 . 结尾时按前缀匹配）、from、to，按时间倒序分页
+router.get('/audit', authenticateToken, requireRole('SUPER_ADMIN'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const where = buildAuditWhere(req.query);
+
+    const take = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [logs, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        logs,
+        total,
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: take
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
       });
     }
+    console.error('获取审计日志错误:', error);
     res.status(500).json({ 
       success: false, 
       error: '服务器错误' 
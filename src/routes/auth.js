@@ -1,8 +1,12 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const prisma = require('../db/prisma');
 const { authenticateToken } = require('../middleware/auth');
+const { limitLogin, limitRegistration } = require('../middleware/rateLimit');
+const { getBanInfo } = require('../services/bans');
+const { clientInfo, createSession, refreshSession, revokeSession } = require('../services/sessions');
+const { disconnectSession } = require('../services/notifications');
+const { AppError } = require('../utils/errors');
 
 const router = express.Router();
 
@@ -16,8 +20,8 @@ function generateInviteCode() {
   return code;
 }
 
-// POST /api/auth/register - 注册
-router.post('/register', async (req, res) => {
+// POST /api/auth/register - 注册（按 IP 限流）
+router.post('/register', limitRegistration, async (req, res) => {
   try {
     const { username, password, inviteCode } = req.body;
 
@@ -98,16 +102,8 @@ router.post('/register', async (req, res) => {
       }
     });
 
-    // 生成 JWT Token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        username: user.username,
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // 创建登录会话，生成访问令牌和刷新令牌
+    const { token, refreshToken, expiresIn } = await createSession(user, clientInfo(req));
 
     res.json({
       success: true,
@@ -116,7 +112,9 @@ router.post('/register', async (req, res) => {
         username: user.username,
         role: user.role,
         inviteCode: user.inviteCode,
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
 
@@ -129,8 +127,8 @@ router.post('/register', async (req, res) => {
   }
 });
 
-// POST /api/auth/login - 登录
-router.post('/login', async (req, res) => {
+// POST /api/auth/login - 登录（按 IP 和用户名限流，多次失败后锁定）
+router.post('/login', limitLogin, async (req, res) => {
   try {
     const { username, password } = req.body;
 
@@ -163,11 +161,15 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // 检查是否被封禁
-    if (user.isBanned) {
+    // 检查是否被封禁（到期的封禁自动失效）
+    const ban = await getBanInfo(user);
+    if (ban) {
       return res.status(403).json({ 
         success: false, 
-        error: '账号已被封禁' 
+        error: ban.message,
+        code: 'BANNED',
+        bannedUntil: ban.bannedUntil,
+        reason: ban.reason
       });
     }
 
@@ -177,16 +179,8 @@ router.post('/login', async (req, res) => {
       data: { lastLoginAt: new Date() }
     });
 
-    // 生成 JWT Token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        username: user.username,
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // 创建登录会话，生成访问令牌和刷新令牌
+    const { token, refreshToken, expiresIn } = await createSession(user, clientInfo(req));
 
     res.json({
       success: true,
@@ -195,6 +189,8 @@ router.post('/login', async (req, res) => {
         username: user.username,
         role: user.role,
         token,
+        refreshToken,
+        expiresIn,
         user: {
           totalRoses: user.totalRoses,
           level: user.level,
@@ -212,10 +208,74 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// POST /api/auth/logout - 登出
+// POST /api/auth/refresh - 用刷新令牌换取新的访问令牌（刷新令牌同时轮换，旧的立即作废）
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '缺少刷新令牌' 
+      });
+    }
+
+    const { user, sessionId, ...tokens } = await refreshSession(refreshToken, clientInfo(req));
+
+    // 封禁期间不能续期（封禁时会话已被撤销，这里防止封禁前刚刷新的令牌）
+    const ban = await getBanInfo(user);
+    if (ban) {
+      await revokeSession(sessionId, '账号被封禁');
+      return res.status(403).json({ 
+        success: false, 
+        error: ban.message,
+        code: 'BANNED',
+        bannedUntil: ban.bannedUntil,
+        reason: ban.reason
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        userId: user.id,
+        username: user.username,
+        role: user.role,
+        ...tokens
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message,
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+    console.error('刷新令牌错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// POST /api/auth/logout - 登出：撤销当前会话，刷新令牌和访问令牌立即失效
 router.post('/logout', authenticateToken, async (req, res) => {
-  // 在实际应用中，可以在这里将 token 加入黑名单
-  res.json({ success: true });
+  try {
+    await revokeSession(req.user.sessionId, '用户登出');
+    disconnectSession(req.user.sessionId, { code: 'SESSION_REVOKED', message: '已退出登录' });
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('登出错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
 });
 
 // GET /api/auth/verify - 验证 Token
@@ -227,7 +287,8 @@ router.get('/verify', authenticateToken, async (req, res) => {
         id: true,
         username: true,
         role: true,
-        isBanned: true
+        isBanned: true,
+        bannedUntil: true
       }
     });
 
@@ -238,10 +299,14 @@ router.get('/verify', authenticateToken, async (req, res) => {
       });
     }
 
-    if (user.isBanned) {
+    const ban = await getBanInfo(user);
+    if (ban) {
       return res.status(403).json({ 
         success: false, 
-        error: '账号已被封禁' 
+        error: ban.message,
+        code: 'BANNED',
+        bannedUntil: ban.bannedUntil,
+        reason: ban.reason
       });
     }
 
@@ -0,0 +1,103 @@
+const express = require('express');
+const prisma = require('../db/prisma');
+
+const router = express.Router();
+
+// GET /api/collections - 获取所有图鉴列表
+router.get('/', async (req, res) => {
+  try {
+    const collections = await prisma.collection.findMany({
+      select: {
+        id: true,
+        name: true,
+        description: true,
+        icon: true,
+        rewardRoses: true,
+        _count: { select: { wordCollections: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        collections: collections.map(c => ({
+          collectionId: c.id,
+          name: c.name,
+          description: c.description,
+          icon: c.icon,
+          rewardRoses: c.rewardRoses,
+          totalWords: c._count.wordCollections
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('获取图鉴列表错误:', error);
+    res.status(500).json({
+      success: false,
+      error: '服务器错误'
+    });
+  }
+});
+
+// GET /api/collections/:collectionId - 获取图鉴详情
+router.get('/:collectionId', async (req, res) => {
+  try {
+    const { collectionId } = req.params;
+
+    const collection = await prisma.collection.findUnique({
+      where: { id: collectionId },
+      include: {
+        wordCollections: {
+          include: {
+            word: {
+              select: {
+                id: true,
+                word: true,
+                definition: true,
+                rarity: true
+              }
+            }
+          }
+        }
+      }
+    });
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        error: '图鉴不存在'
+      });
+    }
+
+    const words = collection.wordCollections
+      .map(wc => ({
+        wordId: wc.word.id,
+        word: wc.word.word,
+        definition: wc.word.definition,
+        rarity: wc.word.rarity
+      }))
+      .sort((a, b) => a.word.localeCompare(b.word));
+
+    res.json({
+      success: true,
+      data: {
+        collectionId: collection.id,
+        name: collection.name,
+        description: collection.description,
+        icon: collection.icon,
+        rewardRoses: collection.rewardRoses,
+        words,
+        totalWords: words.length
+      }
+    });
+  } catch (error) {
+    console.error('获取图鉴详情错误:', error);
+    res.status(500).json({
+      success: false,
+      error: '服务器错误'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  countUnread,
+  listConversations,
+  listDirectMessages,
+  markConversationRead
+} = require('../services/directMessages');
+
+const router = express.Router();
+
+// GET /api/dms - 获取私信会话列表（包含每个会话的未读数）
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const [conversations, unreadCount] = await Promise.all([
+      listConversations(req.user.userId),
+      countUnread(req.user.userId)
+    ]);
+
+    res.json({
+      success: true,
+      data: { conversations, unreadCount }
+    });
+  } catch (error) {
+    console.error('获取私信会话错误:', error);
+    res.status(500).json({
+      success: false,
+      error: '服务器错误'
+    });
+  }
+});
+
+// GET /api/dms/:userId - 获取与指定用户的私信记录（游标分页，按时间倒序）
+// 请求参数：?cursor=上一页返回的 nextCursor&limit=50
+router.get('/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { cursor, limit = 50 } = req.query;
+    const take = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+
+    const result = await listDirectMessages(req.user.userId, req.params.userId, { cursor, limit: take });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('获取私信记录错误:', error);
+    res.status(500).json({
+      success: false,
+      error: '服务器错误'
+    });
+  }
+});
+
+// POST /api/dms/:userId/read - 将与指定用户的私信标记为已读
+router.post('/:userId/read', authenticateToken, async (req, res) => {
+  try {
+    const updated = await markConversationRead(req.user.userId, req.params.userId);
+    const unreadCount = await countUnread(req.user.userId);
+
+    res.json({
+      success: true,
+      data: { updated, unreadCount }
+    });
+  } catch (error) {
+    console.error('标记私信已读错误:', error);
+    res.status(500).json({
+      success: false,
+      error: '服务器错误'
+    });
+  }
+});
+
+module.exports = router;
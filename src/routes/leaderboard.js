@@ -0,0 +1,41 @@
+const express = require('express');
+const { optionalAuth } = require('../middleware/auth');
+const { getLeaderboard } = require('../services/leaderboard');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// GET /api/leaderboard/:board - 排行榜（roses / vocab / packs / consecutive）
+// 请求参数：?period=daily|weekly|all&page=1&limit=50，携带令牌时返回 myRank
+router.get('/:board', optionalAuth, async (req, res) => {
+  try {
+    const { board } = req.params;
+    const { period = 'all', page = 1, limit = 50 } = req.query;
+
+    const result = await getLeaderboard(board, {
+      period,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 100),
+      userId: req.user?.userId
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('获取排行榜错误:', error);
+    res.status(500).json({
+      success: false,
+      error: '服务器错误'
+    });
+  }
+});
+
+module.exports = router;
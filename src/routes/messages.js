@@ -0,0 +1,171 @@
+const express = require('express');
+const prisma = require('../db/prisma');
+const { authenticateToken } = require('../middleware/auth');
+const { messageInclude, toApiMessage, listMessages, listReplies } = require('../services/messages');
+const { DEFAULT_ROOM_ID, getActiveRoom } = require('../services/rooms');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// 消息所在的房间是否可以查看（与聊天中一样，只能查看未停用的房间）
+async function isRoomReadable(roomId) {
+  try {
+    await getActiveRoom(roomId);
+    return true;
+  } catch (error) {
+    if (error instanceof AppError) return false;
+    throw error;
+  }
+}
+
+// 查询登录用户在给定消息中送过花的消息 ID
+async function findRosedIds(user, messages) {
+  if (messages.length === 0) return new Set();
+  const rosed = await prisma.roseSender.findMany({
+    where: {
+      userId: user.userId,
+      messageId: { in: messages.map(m => m.id) }
+    },
+    select: { messageId: true }
+  });
+  return new Set(rosed.map(r => r.messageId));
+}
+
+// GET /api/messages - 获取房间历史消息（游标分页，按时间倒序）
+// 请求参数：?roomId=lobby&cursor=上一页返回的 nextCursor&limit=50
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { roomId = DEFAULT_ROOM_ID, cursor, limit = 50 } = req.query;
+    const take = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+
+    if (typeof roomId !== 'string' || (cursor !== undefined && typeof cursor !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: '请求参数格式错误'
+      });
+    }
+
+    await getActiveRoom(roomId);
+
+    const result = await listMessages({ roomId, cursor, limit: take });
+
+    // 额外返回当前用户是否已对每条消息送花
+    const rosedIds = await findRosedIds(req.user, result.messages);
+
+    res.json({
+      success: true,
+      data: {
+        messages: result.messages.map(m => toApiMessage(m, { hasRosed: rosedIds.has(m.id) })),
+        hasMore: result.hasMore,
+        nextCursor: result.nextCursor
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('获取历史消息错误:', error);
+    res.status(500).json({
+      success: false,
+      error: '服务器错误'
+    });
+  }
+});
+
+// GET /api/messages/:messageId - 获取单条消息详情
+router.get('/:messageId', authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const message = await prisma.message.findUnique({
+      where: { id: messageId },
+      include: {
+        ...messageInclude,
+        roseSenders: {
+          include: { user: { select: { id: true, username: true } } },
+          orderBy: { sentAt: 'asc' }
+        }
+      }
+    });
+
+    if (!message || message.deletedAt || !(await isRoomReadable(message.roomId))) {
+      return res.status(404).json({
+        success: false,
+        error: '消息不存在'
+      });
+    }
+
+    const hasRosed = message.roseSenders.some(rs => rs.userId === req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        ...toApiMessage(message, { hasRosed }),
+        roseSenders: message.roseSenders.map(rs => ({
+          userId: rs.user.id,
+          username: rs.user.username,
+          sentAt: rs.sentAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('获取消息详情错误:', error);
+    res.status(500).json({
+      success: false,
+      error: '服务器错误'
+    });
+  }
+});
+
+// GET /api/messages/:messageId/thread - 获取消息及其回复（回复按时间正序，游标分页）
+// 请求参数：?cursor=上一页返回的 nextCursor&limit=50
+router.get('/:messageId/thread', authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { cursor, limit = 50 } = req.query;
+    const take = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+
+    if (cursor !== undefined && typeof cursor !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: '请求参数格式错误'
+      });
+    }
+
+    const message = await prisma.message.findUnique({
+      where: { id: messageId },
+      include: messageInclude
+    });
+
+    if (!message || message.deletedAt || !(await isRoomReadable(message.roomId))) {
+      return res.status(404).json({
+        success: false,
+        error: '消息不存在'
+      });
+    }
+
+    const replies = await listReplies(messageId, { cursor, limit: take });
+    const rosedIds = await findRosedIds(req.user, [message, ...replies.messages]);
+
+    res.json({
+      success: true,
+      data: {
+        message: toApiMessage(message, { hasRosed: rosedIds.has(message.id) }),
+        replies: replies.messages.map(m => toApiMessage(m, { hasRosed: rosedIds.has(m.id) })),
+        hasMore: replies.hasMore,
+        nextCursor: replies.nextCursor
+      }
+    });
+  } catch (error) {
+    console.error('获取消息回复错误:', error);
+    res.status(500).json({
+      success: false,
+      error: '服务器错误'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const prisma = require('../db/prisma');
 const { authenticateToken } = require('../middleware/auth');
+const { openPack, formatPity, availablePackWhere } = require('../services/packs');
+const { evaluateAchievements } = require('../services/achievements');
+const { AppError } = require('../utils/errors');
 
 const router = express.Router();
 
@@ -8,14 +11,18 @@ const router = express.Router();
 router.get('/', async (req, res) => {
   try {
     const packs = await prisma.pack.findMany({
-      where: { isActive: true },
+      where: availablePackWhere(),
       select: {
         id: true,
         name: true,
         description: true,
         cardCount: true,
         weights: true,
-        isActive: true
+        epicPityThreshold: true,
+        legendaryPityThreshold: true,
+        isActive: true,
+        availableFrom: true,
+        availableUntil: true
       }
     });
 
@@ -43,7 +50,9 @@ router.get('/me', authenticateToken, async (req, res) => {
             id: true,
             name: true,
             description: true,
-            cardCount: true
+            cardCount: true,
+            epicPityThreshold: true,
+            legendaryPityThreshold: true
           }
         }
       }
@@ -60,7 +69,8 @@ router.get('/me', authenticateToken, async (req, res) => {
           name: up.pack.name,
           description: up.pack.description,
           cardCount: up.pack.cardCount,
-          count: up.count
+          count: up.count,
+          pity: formatPity(up, up.pack)
         })),
         totalPacks
       }
@@ -74,132 +84,26 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
-// POST /api/users/me/packs/add - 添加卡包给用户
-router.post('/me/add', authenticateToken, async (req, res) => {
+// POST /api/packs/me/:packId/open - 开启卡包（服务端抽卡并写入单词库存）
+router.post('/me/:packId/open', authenticateToken, async (req, res) => {
   try {
-    const { packId, count = 1 } = req.body;
-
-    if (!packId) {
-      return res.status(400).json({ 
-        success: false, 
-        error: '缺少卡包ID' 
-      });
-    }
-
-    // 检查卡包是否存在
-    const pack = await prisma.pack.findUnique({
-      where: { id: packId }
-    });
-
-    if (!pack) {
-      return res.status(404).json({ 
-        success: false, 
-        error: '卡包不存在' 
-      });
-    }
-
-    // 更新或创建用户卡包记录
-    const userPack = await prisma.userPack.upsert({
-      where: {
-        userId_packId: {
-          userId: req.user.userId,
-          packId: packId
-        }
-      },
-      update: {
-        count: {
-          increment: count
-        }
-      },
-      create: {
-        userId: req.user.userId,
-        packId: packId,
-        count: count
-      }
-    });
+    const { packId } = req.params;
 
-    // 更新用户总卡包数
-    await prisma.user.update({
-      where: { id: req.user.userId },
-      data: {
-        totalPacks: {
-          increment: count
-        }
-      }
-    });
+    const result = await openPack(req.user.userId, packId);
+    const unlockedAchievements = await evaluateAchievements(req.user.userId, 'packs');
 
     res.json({
       success: true,
-      data: {
-        packId: userPack.packId,
-        count: userPack.count
-      }
+      data: { ...result, unlockedAchievements }
     });
   } catch (error) {
-    console.error('添加卡包错误:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: '服务器错误' 
-    });
-  }
-});
-
-// POST /api/users/me/packs/:packId/use - 使用卡包（减少数量）
-router.post('/me/:packId/use', authenticateToken, async (req, res) => {
-  try {
-    const { packId } = req.params;
-
-    // 查找用户的卡包
-    const userPack = await prisma.userPack.findUnique({
-      where: {
-        userId_packId: {
-          userId: req.user.userId,
-          packId: packId
-        }
-      }
-    });
-
-    if (!userPack || userPack.count <= 0) {
-      return res.status(400).json({ 
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
         success: false, 
-        error: '没有可用的卡包' 
+        error: error.message 
       });
     }
-
-    // 减少卡包数量
-    const updatedUserPack = await prisma.userPack.update({
-      where: {
-        userId_packId: {
-          userId: req.user.userId,
-          packId: packId
-        }
-      },
-      data: {
-        count: {
-          decrement: 1
-        }
-      }
-    });
-
-    // 更新用户总卡包数
-    await prisma.user.update({
-      where: { id: req.user.userId },
-      data: {
-        totalPacks: {
-          decrement: 1
-        }
-      }
-    });
-
-    res.json({
-      success: true,
-      data: {
-        packId: updatedUserPack.packId,
-        count: updatedUserPack.count
-      }
-    });
-  } catch (error) {
-    console.error('使用卡包错误:', error);
+    console.error('开启卡包错误:', error);
     res.status(500).json({ 
       success: false, 
       error: '服务器错误' 
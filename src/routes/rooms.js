@@ -0,0 +1,31 @@
+const express = require('express');
+const prisma = require('../db/prisma');
+const { roomSelect, formatRoom } = require('../services/rooms');
+
+const router = express.Router();
+
+// GET /api/rooms - 获取可进入的聊天房间列表（包含发言规则）
+router.get('/', async (req, res) => {
+  try {
+    const rooms = await prisma.room.findMany({
+      where: { isActive: true },
+      select: roomSelect,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        rooms: rooms.map(formatRoom)
+      }
+    });
+  } catch (error) {
+    console.error('获取房间列表错误:', error);
+    res.status(500).json({
+      success: false,
+      error: '服务器错误'
+    });
+  }
+});
+
+module.exports = router;
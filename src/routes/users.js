@@ -2,6 +2,12 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const prisma = require('../db/prisma');
 const { authenticateToken } = require('../middleware/auth');
+const { getUserCollectionProgress } = require('../services/collections');
+const { getConditionValues, maskAchievement, evaluateAchievements } = require('../services/achievements');
+const { SIGNIN_TIMEZONE, REWARD_CYCLE, rewardForStreak, getSignInState, signIn } = require('../services/signin');
+const { clientInfo, createSession, revokeSession, revokeAllSessions, listSessions } = require('../services/sessions');
+const { disconnectUser, disconnectSession } = require('../services/notifications');
+const { AppError } = require('../utils/errors');
 
 const router = express.Router();
 
@@ -16,6 +22,7 @@ router.get('/me', authenticateToken, async (req, res) => {
         role: true,
         totalRoses: true,
         totalPacks: true,
+        stoneDust: true,
         consecutiveDays: true,
         level: true,
         inviteCode: true,
@@ -43,6 +50,7 @@ router.get('/me', authenticateToken, async (req, res) => {
         role: user.role,
         totalRoses: user.totalRoses,
         totalPacks: user.totalPacks,
+        stoneDust: user.stoneDust,
         consecutiveDays: user.consecutiveDays,
         level: user.level,
         inviteCode: user.inviteCode,
@@ -64,6 +72,343 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/users/me/collections - 获取当前用户的图鉴收集进度
+router.get('/me/collections', authenticateToken, async (req, res) => {
+  try {
+    const collections = await getUserCollectionProgress(req.user.userId);
+
+    res.json({
+      success: true,
+      data: { collections }
+    });
+
+  } catch (error) {
+    console.error('获取图鉴进度错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// GET /api/users/me/achievements - 获取当前用户的成就进度
+router.get('/me/achievements', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const [achievements, unlocked] = await Promise.all([
+      prisma.achievement.findMany({ orderBy: { createdAt: 'asc' } }),
+      prisma.userAchievement.findMany({
+        where: { userId },
+        select: { achievementId: true, unlockedAt: true }
+      })
+    ]);
+
+    const unlockedAt = new Map(unlocked.map(ua => [ua.achievementId, ua.unlockedAt]));
+    const values = await getConditionValues(
+      prisma,
+      userId,
+      [...new Set(achievements.map(a => a.conditionType))]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        achievements: achievements.map(a => {
+          const isUnlocked = unlockedAt.has(a.id);
+          if (a.isHidden && !isUnlocked) {
+            return { ...maskAchievement(a), isUnlocked: false };
+          }
+          const currentValue = Math.min(values[a.conditionType] ?? 0, a.conditionValue);
+          return {
+            achievementId: a.id,
+            name: a.name,
+            description: a.description,
+            icon: a.icon,
+            category: a.category,
+            conditionType: a.conditionType,
+            conditionValue: a.conditionValue,
+            currentValue,
+            progress: isUnlocked || a.conditionValue <= 0
+              ? 100
+              : Math.round((currentValue / a.conditionValue) * 1000) / 10,
+            isUnlocked,
+            unlockedAt: isUnlocked ? unlockedAt.get(a.id) : null,
+            rewardRoses: a.rewardRoses
+          };
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('获取成就进度错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// POST /api/users/me/signin - 每日签到
+router.post('/me/signin', authenticateToken, async (req, res) => {
+  try {
+    const result = await signIn(req.user.userId);
+    const unlockedAchievements = await evaluateAchievements(req.user.userId, 'signin');
+
+    res.json({
+      success: true,
+      data: { ...result, unlockedAchievements }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    console.error('签到错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// GET /api/users/me/signin/status - 获取签到状态
+router.get('/me/signin/status', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { lastSignInAt: true, consecutiveDays: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '用户不存在' 
+      });
+    }
+
+    const state = getSignInState(user);
+    const next = rewardForStreak(state.nextStreak);
+
+    res.json({
+      success: true,
+      data: {
+        hasSignedToday: state.hasSignedToday,
+        consecutiveDays: state.currentStreak,
+        lastSignInAt: user.lastSignInAt,
+        nextReward: {
+          day: next.cycleDay,
+          roses: next.roses,
+          packs: next.packs
+        },
+        rewardCycle: REWARD_CYCLE,
+        timezone: SIGNIN_TIMEZONE
+      }
+    });
+
+  } catch (error) {
+    console.error('获取签到状态错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// GET /api/users/me/signin/history - 获取签到历史
+router.get('/me/signin/history', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 30 } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+    const where = { userId: req.user.userId };
+
+    const [records, total] = await Promise.all([
+      prisma.loginReward.findMany({
+        where,
+        select: {
+          day: true,
+          rewardRoses: true,
+          rewardPacks: true,
+          claimedAt: true
+        },
+        skip,
+        take,
+        orderBy: { claimedAt: 'desc' }
+      }),
+      prisma.loginReward.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        records: records.map(r => ({ ...r, rewardPacks: r.rewardPacks || [] })),
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('获取签到历史错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// GET /api/users/me/notifications - 获取通知列表（离线时收到的回复等）
+// 请求参数：?unread=true 只看未读&page=1&limit=20
+router.get('/me/notifications', authenticateToken, async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+    const where = { userId: req.user.userId };
+    if (unread === 'true') {
+      where.isRead = false;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        select: {
+          id: true,
+          type: true,
+          title: true,
+          message: true,
+          data: true,
+          isRead: true,
+          createdAt: true
+        },
+        skip,
+        take,
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.notification.count({ where }),
+      prisma.notification.count({ where: { userId: req.user.userId, isRead: false } })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('获取通知错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// POST /api/users/me/notifications/read - 标记通知为已读
+// 请求体：{ ids: [...] }，不传 ids 则全部标记为已读
+router.post('/me/notifications/read', authenticateToken, async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => typeof id === 'string'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'ids 必须是字符串数组'
+      });
+    }
+
+    const { count } = await prisma.notification.updateMany({
+      where: {
+        userId: req.user.userId,
+        isRead: false,
+        ...(ids ? { id: { in: ids } } : {})
+      },
+      data: { isRead: true }
+    });
+
+    res.json({
+      success: true,
+      data: { updated: count }
+    });
+
+  } catch (error) {
+    console.error('标记通知已读错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// GET /api/users/me/sessions - 当前登录的设备（每次登录一个会话，current 标记当前请求所用的会话）
+router.get('/me/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          sessionId: session.id,
+          device: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session.id === req.user.sessionId
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('获取登录会话错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
+// DELETE /api/users/me/sessions/:sessionId - 撤销一个登录会话（该设备立即下线，需要重新登录）
+router.delete('/me/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revoked = await revokeSession(sessionId, '用户撤销', { userId: req.user.userId });
+    if (!revoked) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '会话不存在或已失效' 
+      });
+    }
+
+    disconnectSession(sessionId, { code: 'SESSION_REVOKED', message: '该设备已被退出登录' });
+
+    res.json({
+      success: true,
+      data: { sessionId, revoked: true }
+    });
+
+  } catch (error) {
+    console.error('撤销登录会话错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
+
 // GET /api/users/:userId - 获取指定用户信息（公开信息）
 router.get('/:userId', async (req, res) => {
   try {
@@ -230,14 +575,25 @@ router.put('/me/password', authenticateToken, async (req, res) => {
     const newPasswordHash = await bcrypt.hash(newPassword, 10);
 
     // 更新密码
-    await prisma.user.update({
+    const updated = await prisma.user.update({
       where: { id: user.id },
-      data: { passwordHash: newPasswordHash }
+      data: { passwordHash: newPasswordHash },
+      select: { id: true, username: true, role: true }
     });
 
+    // 所有设备（包括当前设备）的登录全部失效，当前设备使用响应中的新令牌继续登录
+    await revokeAllSessions(user.id, '修改密码');
+    disconnectUser(user.id, { code: 'SESSION_REVOKED', message: '密码已修改，请重新登录' });
+    const { token, refreshToken, expiresIn } = await createSession(updated, clientInfo(req));
+
     res.json({
       success: true,
-      data: { message: '密码修改成功' }
+      data: {
+        message: '密码修改成功',
+        token,
+        refreshToken,
+        expiresIn
+      }
     });
 
   } catch (error) {
@@ -1,6 +1,9 @@
 const express = require('express');
 const prisma = require('../db/prisma');
 const { authenticateToken } = require('../middleware/auth');
+const { DUST_VALUES, CRAFT_COSTS, craftWord } = require('../services/dust');
+const { evaluateAchievements } = require('../services/achievements');
+const { AppError } = require('../utils/errors');
 
 const router = express.Router();
 
@@ -112,73 +115,72 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
-// POST /api/users/me/words - 批量添加单词到用户库存
-router.post('/me', authenticateToken, async (req, res) => {
+// GET /api/words/me/dust - 获取石尘余额及分解/合成价格表
+router.get('/me/dust', authenticateToken, async (req, res) => {
   try {
-    const { words } = req.body; // [{word, definition, rarity, partOfSpeech}]
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { stoneDust: true }
+    });
 
-    if (!Array.isArray(words) || words.length === 0) {
-      return res.status(400).json({ 
+    if (!user) {
+      return res.status(404).json({ 
         success: false, 
-        error: '单词数据格式错误' 
+        error: '用户不存在' 
       });
     }
 
-    const results = [];
-
-    for (const wordData of words) {
-      // 先查找或创建单词
-      let word = await prisma.word.findUnique({
-        where: { word: wordData.word }
-      });
-
-      if (!word) {
-        // 如果单词不存在，创建它
-        word = await prisma.word.create({
-          data: {
-            word: wordData.word,
-            definition: wordData.definition || wordData.trans || '',
-            rarity: wordData.rarity ? wordData.rarity.toUpperCase() : 'COMMON',
-            partOfSpeech: wordData.partOfSpeech || 'OTHER',
-            variants: []
-          }
-        });
+    res.json({
+      success: true,
+      data: {
+        stoneDust: user.stoneDust,
+        dustValues: DUST_VALUES,
+        craftCosts: CRAFT_COSTS
       }
+    });
+  } catch (error) {
+    console.error('获取石尘余额错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: '服务器错误' 
+    });
+  }
+});
 
-      // 检查用户是否已拥有该单词
-      const existingUserWord = await prisma.userWord.findUnique({
-        where: {
-          userId_wordId: {
-            userId: req.user.userId,
-            wordId: word.id
-          }
-        }
-      });
+// POST /api/words/me/craft - 消耗石尘合成指定单词
+router.post('/me/craft', authenticateToken, async (req, res) => {
+  try {
+    const { wordId } = req.body;
 
-      if (!existingUserWord) {
-        // 添加到用户库存
-        await prisma.userWord.create({
-          data: {
-            userId: req.user.userId,
-            wordId: word.id,
-            isFavorited: false
-          }
-        });
-        results.push({ word: word.word, added: true });
-      } else {
-        results.push({ word: word.word, added: false, reason: 'already_owned' });
-      }
+    if (!wordId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '缺少单词ID' 
+      });
     }
 
+    const result = await craftWord(req.user.userId, wordId);
+    const unlockedAchievements = await evaluateAchievements(req.user.userId, 'words');
+
     res.json({
       success: true,
-      data: {
-        results,
-        addedCount: results.filter(r => r.added).length
-      }
+      data: { ...result, unlockedAchievements }
     });
   } catch (error) {
-    console.error('添加单词错误:', error);
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    // 并发合成同一单词时，唯一约束冲突说明已拥有
+    if (error.code === 'P2002') {
+      return res.status(400).json({ 
+        success: false, 
+        error: '已拥有该单词' 
+      });
+    }
+    console.error('合成单词错误:', error);
     res.status(500).json({ 
       success: false, 
       error: '服务器错误' 
@@ -0,0 +1,171 @@
+const prisma = require('../db/prisma');
+const { grantPack } = require('./packs');
+const { notifyUser } = require('./notifications');
+
+// 每种游戏事件会影响哪些成就条件
+const EVENT_CONDITIONS = {
+  roses: ['total_roses'],
+  words: ['vocab_count', 'collections_completed'],
+  packs: ['packs_opened', 'vocab_count', 'collections_completed'],
+  signin: ['consecutive_days']
+};
+
+// 发放奖励后最多重复检查的轮数（鲜花奖励可能继续解锁鲜花类成就）
+const MAX_ROUNDS = 5;
+
+// 读取用户在各成就条件上的当前数值
+async function getConditionValues(client, userId, conditionTypes) {
+  const values = {};
+  const types = new Set(conditionTypes);
+
+  if (types.has('total_roses') || types.has('packs_opened') || types.has('consecutive_days')) {
+    const user = await client.user.findUnique({
+      where: { id: userId },
+      select: { totalRoses: true, packsOpened: true, consecutiveDays: true }
+    });
+    if (!user) return values;
+    values.total_roses = user.totalRoses;
+    values.packs_opened = user.packsOpened;
+    values.consecutive_days = user.consecutiveDays;
+  }
+
+  if (types.has('vocab_count')) {
+    values.vocab_count = await client.userWord.count({ where: { userId } });
+  }
+
+  if (types.has('collections_completed')) {
+    values.collections_completed = await client.userCollection.count({ where: { userId } });
+  }
+
+  return values;
+}
+
+// 解析成就的卡包奖励 JSON：[{ packId, count }]
+function parseRewardPacks(rewardPacks) {
+  if (!Array.isArray(rewardPacks)) return [];
+  return rewardPacks
+    .filter(p => p && typeof p.packId === 'string')
+    .map(p => ({ packId: p.packId, count: Number.isInteger(p.count) && p.count > 0 ? p.count : 1 }));
+}
+
+// 在一个事务中检查并解锁满足条件的成就，发放鲜花和卡包奖励
+async function unlockAchievements(userId, conditionTypes) {
+  return prisma.$transaction(async (tx) => {
+    const unlocked = [];
+    let pending = [...new Set(conditionTypes)];
+
+    for (let round = 0; round < MAX_ROUNDS && pending.length > 0; round++) {
+      const values = await getConditionValues(tx, userId, pending);
+
+      const achievements = await tx.achievement.findMany({
+        where: {
+          conditionType: { in: pending },
+          userAchievements: { none: { userId } }
+        }
+      });
+      const reached = achievements.filter(a => (values[a.conditionType] ?? 0) >= a.conditionValue);
+
+      let rewardRoses = 0;
+      for (const achievement of reached) {
+        // skipDuplicates 防止并发事件重复解锁、重复发奖
+        const { count } = await tx.userAchievement.createMany({
+          data: [{ userId, achievementId: achievement.id }],
+          skipDuplicates: true
+        });
+        if (count === 0) continue;
+
+        const rewardPacks = parseRewardPacks(achievement.rewardPacks);
+        for (const { packId, count: packCount } of rewardPacks) {
+          const pack = await tx.pack.findUnique({ where: { id: packId }, select: { id: true } });
+          if (pack) {
+            await grantPack(tx, userId, packId, packCount);
+          }
+        }
+
+        rewardRoses += achievement.rewardRoses;
+        unlocked.push({
+          achievementId: achievement.id,
+          name: achievement.name,
+          description: achievement.description,
+          icon: achievement.icon,
+          rewardRoses: achievement.rewardRoses,
+          rewardPacks
+        });
+      }
+
+      if (rewardRoses > 0) {
+        await tx.user.update({
+          where: { id: userId },
+          data: { totalRoses: { increment: rewardRoses } }
+        });
+      }
+
+      // 发放了鲜花才需要再检查一轮鲜花类成就
+      pending = rewardRoses > 0 ? ['total_roses'] : [];
+    }
+
+    return unlocked;
+  });
+}
+
+// 游戏事件触发的成就检查入口：解锁成就并推送通知
+// 成就检查失败不影响触发它的业务操作，只记录日志并返回空列表
+async function evaluateAchievements(userId, event) {
+  const conditionTypes = EVENT_CONDITIONS[event];
+  if (!userId || !conditionTypes) return [];
+
+  try {
+    const unlocked = await unlockAchievements(userId, conditionTypes);
+
+    for (const achievement of unlocked) {
+      notifyUser(userId, {
+        notificationType: 'achievement',
+        title: '解锁新成就',
+        message: `恭喜你解锁成就：${achievement.name}`,
+        data: achievement
+      });
+    }
+
+    return unlocked;
+  } catch (error) {
+    console.error('成就检查错误:', error);
+    return [];
+  }
+}
+
+// 隐藏成就未解锁时只返回占位信息
+function maskAchievement(achievement) {
+  return {
+    achievementId: achievement.id,
+    name: '???',
+    description: '隐藏成就，解锁后可见',
+    icon: null,
+    category: achievement.category,
+    isHidden: true,
+    conditionType: null,
+    conditionValue: null,
+    rewardRoses: null
+  };
+}
+
+function formatAchievement(achievement) {
+  return {
+    achievementId: achievement.id,
+    name: achievement.name,
+    description: achievement.description,
+    icon: achievement.icon,
+    category: achievement.category,
+    isHidden: achievement.isHidden,
+    conditionType: achievement.conditionType,
+    conditionValue: achievement.conditionValue,
+    rewardRoses: achievement.rewardRoses
+  };
+}
+
+module.exports = {
+  EVENT_CONDITIONS,
+  getConditionValues,
+  evaluateAchievements,
+  maskAchievement,
+  formatAchievement
+};
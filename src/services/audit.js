@@ -0,0 +1,68 @@
+const prisma = require('../db/prisma');
+const { AppError } = require('../utils/errors');
+
+// 管理员审计日志：audit_logs 表只允许追加（数据库触发器拒绝修改和删除）
+
+// JSON 列只能保存普通对象：去掉 undefined，Date 转为 ISO 字符串
+function toJson(value) {
+  if (value === undefined || value === null) return undefined;
+  return JSON.parse(JSON.stringify(value));
+}
+
+// 写入一条审计记录
+// actor: { userId, username, role }（即 req.user）
+async function recordAudit({ actor, action, targetType, targetId, before, after, reason, ip }) {
+  return prisma.auditLog.create({
+    data: {
+      actorId: actor.userId,
+      actorUsername: actor.username || null,
+      actorRole: actor.role || null,
+      action,
+      targetType: targetType || null,
+      targetId: targetId || null,
+      before: toJson(before),
+      after: toJson(after),
+      reason: reason || null,
+      ip: ip || null
+    }
+  });
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(400, `${name} 不是有效的日期`);
+  }
+  return date;
+}
+
+// 查询条件：{ actorId, targetType, targetId, action, from, to }，from/to 为日期或 ISO 时间
+// action 以 . 结尾时按前缀匹配（如 user. 匹配所有用户相关操作）
+function buildAuditWhere(query) {
+  const { actorId, targetType, targetId, action } = query;
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  if (from && to && from > to) {
+    throw new AppError(400, 'from 不能晚于 to');
+  }
+
+  const where = {};
+  if (actorId) where.actorId = actorId;
+  if (targetType) where.targetType = targetType;
+  if (targetId) where.targetId = targetId;
+  if (action) {
+    where.action = action.endsWith('.') ? { startsWith: action } : action;
+  }
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = from;
+    if (to) where.createdAt.lte = to;
+  }
+  return where;
+}
+
+module.exports = {
+  recordAudit,
+  buildAuditWhere
+};
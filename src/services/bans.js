@@ -0,0 +1,100 @@
+const prisma = require('../db/prisma');
+const { AppError } = require('../utils/errors');
+
+// 封禁：User.isBanned / bannedUntil 为当前状态（bannedUntil 为空表示永久），
+// user_bans 表保存每次封禁的原因、操作人和到期时间
+
+// 封禁时长（秒），不填或为 0 表示永久封禁
+function validateBanDuration(duration) {
+  if (duration === undefined || duration === null || duration === 0) return null;
+  if (!Number.isInteger(duration) || duration < 0) {
+    throw new AppError(400, '封禁时长必须为非负整数（秒）');
+  }
+  return duration;
+}
+
+// 仍在生效的封禁记录
+function activeBanWhere(userId) {
+  return {
+    userId,
+    liftedAt: null,
+    OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }]
+  };
+}
+
+// 用户当前是否处于封禁中（bannedUntil 已过视为已自动解除）
+function isBanActive(user) {
+  return !!user.isBanned && (!user.bannedUntil || user.bannedUntil.getTime() > Date.now());
+}
+
+// 被封禁时返回 { message, bannedUntil, reason }，未封禁返回 null
+// user 需要包含 id、isBanned、bannedUntil
+async function getBanInfo(user) {
+  if (!isBanActive(user)) return null;
+
+  const ban = await prisma.userBan.findFirst({
+    where: activeBanWhere(user.id),
+    orderBy: { createdAt: 'desc' },
+    select: { reason: true }
+  });
+  return {
+    message: user.bannedUntil
+      ? `账号已被封禁，解除时间：${user.bannedUntil.toLocaleString('zh-CN')}`
+      : '账号已被封禁',
+    bannedUntil: user.bannedUntil || null,
+    reason: ban?.reason || null
+  };
+}
+
+// 封禁用户，新的封禁取代仍在生效的旧封禁；duration 为秒数，null 表示永久
+async function banUser(userId, { issuedById, reason, duration }) {
+  const expiresAt = duration ? new Date(Date.now() + duration * 1000) : null;
+
+  return prisma.$transaction(async (tx) => {
+    await tx.userBan.updateMany({
+      where: activeBanWhere(userId),
+      data: { liftedAt: new Date(), liftedById: issuedById, liftReason: '被新的封禁取代' }
+    });
+    const ban = await tx.userBan.create({
+      data: { userId, reason, issuedById, expiresAt }
+    });
+    await tx.user.update({
+      where: { id: userId },
+      data: { isBanned: true, bannedUntil: expiresAt }
+    });
+    return ban;
+  });
+}
+
+// 提前解除封禁，返回被解除的封禁记录数
+async function unbanUser(userId, { liftedById, reason }) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.userBan.updateMany({
+      where: activeBanWhere(userId),
+      data: { liftedAt: new Date(), liftedById, liftReason: reason }
+    });
+    await tx.user.update({
+      where: { id: userId },
+      data: { isBanned: false, bannedUntil: null }
+    });
+    return count;
+  });
+}
+
+// 解除已到期的封禁（定期执行），返回解除的用户数
+async function expireBans() {
+  const { count } = await prisma.user.updateMany({
+    where: { isBanned: true, bannedUntil: { lte: new Date() } },
+    data: { isBanned: false, bannedUntil: null }
+  });
+  return count;
+}
+
+module.exports = {
+  validateBanDuration,
+  isBanActive,
+  getBanInfo,
+  banUser,
+  unbanUser,
+  expireBans
+};
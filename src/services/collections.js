@@ -0,0 +1,153 @@
+const prisma = require('../db/prisma');
+const { AppError } = require('../utils/errors');
+
+// 用户获得新单词后检查相关图鉴是否集齐，集齐则记录完成并发放鲜花奖励
+// client 可以是 prisma 或事务中的 tx，返回本次新完成的图鉴列表
+async function checkCollectionCompletion(client, userId, wordIds) {
+  if (!wordIds || wordIds.length === 0) return [];
+
+  const candidates = await client.collection.findMany({
+    where: {
+      wordCollections: { some: { wordId: { in: wordIds } } },
+      userCollections: { none: { userId } }
+    },
+    select: {
+      id: true,
+      name: true,
+      rewardRoses: true,
+      _count: { select: { wordCollections: true } }
+    }
+  });
+
+  const completed = [];
+  for (const collection of candidates) {
+    const ownedWords = await client.wordCollection.count({
+      where: {
+        collectionId: collection.id,
+        word: { userWords: { some: { userId } } }
+      }
+    });
+    if (ownedWords < collection._count.wordCollections) continue;
+
+    // skipDuplicates 防止并发请求重复发放奖励
+    const { count } = await client.userCollection.createMany({
+      data: [{ userId, collectionId: collection.id }],
+      skipDuplicates: true
+    });
+    if (count === 0) continue;
+
+    completed.push({
+      collectionId: collection.id,
+      name: collection.name,
+      rewardRoses: collection.rewardRoses
+    });
+  }
+
+  const rewardRoses = completed.reduce((sum, c) => sum + c.rewardRoses, 0);
+  if (rewardRoses > 0) {
+    await client.user.update({
+      where: { id: userId },
+      data: { totalRoses: { increment: rewardRoses } }
+    });
+  }
+
+  return completed;
+}
+
+// 计算用户在各图鉴中的收集进度
+async function getUserCollectionProgress(userId) {
+  const [collections, ownedGroups, userCollections] = await Promise.all([
+    prisma.collection.findMany({
+      select: {
+        id: true,
+        name: true,
+        description: true,
+        icon: true,
+        rewardRoses: true,
+        _count: { select: { wordCollections: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.wordCollection.groupBy({
+      by: ['collectionId'],
+      where: { word: { userWords: { some: { userId } } } },
+      _count: { _all: true }
+    }),
+    prisma.userCollection.findMany({
+      where: { userId },
+      select: { collectionId: true, completedAt: true }
+    })
+  ]);
+
+  const ownedCounts = new Map(ownedGroups.map(g => [g.collectionId, g._count._all]));
+  const completedAt = new Map(userCollections.map(uc => [uc.collectionId, uc.completedAt]));
+
+  return collections.map(collection => {
+    const totalWords = collection._count.wordCollections;
+    const ownedWords = ownedCounts.get(collection.id) || 0;
+    const hasRewarded = completedAt.has(collection.id);
+    return {
+      collectionId: collection.id,
+      name: collection.name,
+      description: collection.description,
+      icon: collection.icon,
+      rewardRoses: collection.rewardRoses,
+      totalWords,
+      ownedWords,
+      progress: totalWords > 0 ? Math.round((ownedWords / totalWords) * 1000) / 10 : 0,
+      isCompleted: totalWords > 0 && ownedWords >= totalWords,
+      hasRewarded,
+      completedAt: hasRewarded ? completedAt.get(collection.id) : null
+    };
+  });
+}
+
+// 校验管理员提交的图鉴数据，partial 为 true 时只校验提供的字段（用于编辑）
+// 返回 { data, wordIds }，wordIds 为 undefined 表示不修改图鉴单词
+function validateCollectionInput(body, { partial = false } = {}) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      throw new AppError(400, '图鉴名称不能为空');
+    }
+    data.name = body.name.trim();
+  }
+
+  if (body.description !== undefined || !partial) {
+    if (typeof body.description !== 'string') {
+      throw new AppError(400, '图鉴描述格式错误');
+    }
+    data.description = body.description;
+  }
+
+  if (body.icon !== undefined) {
+    if (body.icon !== null && typeof body.icon !== 'string') {
+      throw new AppError(400, '图标格式错误');
+    }
+    data.icon = body.icon || null;
+  }
+
+  if (body.rewardRoses !== undefined || !partial) {
+    if (!Number.isInteger(body.rewardRoses) || body.rewardRoses < 0) {
+      throw new AppError(400, '奖励鲜花数必须是非负整数');
+    }
+    data.rewardRoses = body.rewardRoses;
+  }
+
+  let wordIds;
+  if (body.wordIds !== undefined || !partial) {
+    if (!Array.isArray(body.wordIds)) {
+      throw new AppError(400, 'wordIds 必须是数组');
+    }
+    wordIds = [...new Set(body.wordIds)];
+  }
+
+  return { data, wordIds };
+}
+
+module.exports = {
+  checkCollectionCompletion,
+  getUserCollectionProgress,
+  validateCollectionInput
+};
@@ -0,0 +1,181 @@
+const prisma = require('../db/prisma');
+const { AppError } = require('../utils/errors');
+
+const userSelect = { id: true, username: true, nickname: true, avatar: true };
+
+const directMessageInclude = {
+  sender: { select: { id: true, username: true, nickname: true } }
+};
+
+// 会话的两个用户按 ID 排序，保证两人之间只有一个会话
+function conversationKey(userId, otherUserId) {
+  return userId < otherUserId
+    ? { userAId: userId, userBId: otherUserId }
+    : { userAId: otherUserId, userBId: userId };
+}
+
+// 私信推送和接口使用的消息格式（与 socket 'direct-message' 事件一致）
+function toDirectMessage(message) {
+  return {
+    id: message.id,
+    conversationId: message.conversationId,
+    senderId: message.senderId,
+    senderUsername: message.sender.username,
+    senderNickname: message.sender.nickname || null,
+    recipientId: message.recipientId,
+    content: message.content,
+    tokens: message.tokens || null,
+    isRead: message.isRead,
+    timestamp: message.createdAt.getTime()
+  };
+}
+
+// 发送私信：{ html, tokens } 为 parseMessagePayload 的结果，词汇校验由调用方完成
+async function sendDirectMessage(senderId, recipientId, { html, tokens }) {
+  if (senderId === recipientId) {
+    throw new AppError(400, '不能给自己发私信');
+  }
+
+  const recipient = await prisma.user.findUnique({
+    where: { id: recipientId },
+    select: { id: true, isBanned: true }
+  });
+  if (!recipient || recipient.isBanned) {
+    throw new AppError(404, '用户不存在');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const key = conversationKey(senderId, recipientId);
+    const conversation = await tx.conversation.upsert({
+      where: { userAId_userBId: key },
+      create: key,
+      update: { lastMessageAt: new Date() }
+    });
+
+    return tx.directMessage.create({
+      data: {
+        conversationId: conversation.id,
+        senderId,
+        recipientId,
+        content: html,
+        tokens
+      },
+      include: directMessageInclude
+    });
+  });
+}
+
+// 标记私信已推送到接收者的客户端
+async function markDelivered(messageIds) {
+  if (messageIds.length === 0) return;
+  await prisma.directMessage.updateMany({
+    where: { id: { in: messageIds }, deliveredAt: null },
+    data: { deliveredAt: new Date() }
+  });
+}
+
+// 取出用户离线期间收到、尚未推送的私信（按时间正序），并标记为已推送
+async function takeUndelivered(userId) {
+  const messages = await prisma.directMessage.findMany({
+    where: { recipientId: userId, deliveredAt: null },
+    include: directMessageInclude,
+    orderBy: { createdAt: 'asc' }
+  });
+  await markDelivered(messages.map(m => m.id));
+  return messages.map(toDirectMessage);
+}
+
+// 用户的未读私信总数
+async function countUnread(userId) {
+  return prisma.directMessage.count({
+    where: { recipientId: userId, isRead: false }
+  });
+}
+
+// 会话列表（按最后一条消息时间倒序），包含对方信息、最后一条消息和未读数
+async function listConversations(userId) {
+  const conversations = await prisma.conversation.findMany({
+    where: { OR: [{ userAId: userId }, { userBId: userId }] },
+    include: {
+      userA: { select: userSelect },
+      userB: { select: userSelect },
+      messages: {
+        include: directMessageInclude,
+        orderBy: { createdAt: 'desc' },
+        take: 1
+      }
+    },
+    orderBy: { lastMessageAt: 'desc' }
+  });
+
+  const unread = await prisma.directMessage.groupBy({
+    by: ['conversationId'],
+    where: { recipientId: userId, isRead: false },
+    _count: { _all: true }
+  });
+  const unreadByConversation = new Map(unread.map(u => [u.conversationId, u._count._all]));
+
+  return conversations.map(c => {
+    const other = c.userAId === userId ? c.userB : c.userA;
+    return {
+      conversationId: c.id,
+      user: {
+        userId: other.id,
+        username: other.username,
+        nickname: other.nickname,
+        avatar: other.avatar
+      },
+      lastMessage: c.messages[0] ? toDirectMessage(c.messages[0]) : null,
+      unreadCount: unreadByConversation.get(c.id) || 0,
+      lastMessageAt: c.lastMessageAt
+    };
+  });
+}
+
+// 与指定用户的私信记录（按时间倒序，游标分页，cursor 为上一页最后一条消息的 ID）
+async function listDirectMessages(userId, otherUserId, { cursor, limit = 50 } = {}) {
+  const conversation = await prisma.conversation.findUnique({
+    where: { userAId_userBId: conversationKey(userId, otherUserId) },
+    select: { id: true }
+  });
+  if (!conversation) {
+    return { messages: [], hasMore: false, nextCursor: null };
+  }
+
+  const messages = await prisma.directMessage.findMany({
+    where: { conversationId: conversation.id },
+    include: directMessageInclude,
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    take: limit + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+  });
+
+  const hasMore = messages.length > limit;
+  const page = hasMore ? messages.slice(0, limit) : messages;
+
+  return {
+    messages: page.map(toDirectMessage),
+    hasMore,
+    nextCursor: hasMore ? page[page.length - 1].id : null
+  };
+}
+
+// 将对方发来的私信全部标记为已读，返回标记数量
+async function markConversationRead(userId, otherUserId) {
+  const { count } = await prisma.directMessage.updateMany({
+    where: { senderId: otherUserId, recipientId: userId, isRead: false },
+    data: { isRead: true }
+  });
+  return count;
+}
+
+module.exports = {
+  toDirectMessage,
+  sendDirectMessage,
+  markDelivered,
+  takeUndelivered,
+  countUnread,
+  listConversations,
+  listDirectMessages,
+  markConversationRead
+};
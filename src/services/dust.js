@@ -0,0 +1,80 @@
+const prisma = require('../db/prisma');
+const { AppError } = require('../utils/errors');
+const { checkCollectionCompletion } = require('./collections');
+const { gameEvents } = require('./events');
+
+// 重复卡分解获得的石尘数量（按稀有度）
+const DUST_VALUES = {
+  COMMON: 5,
+  RARE: 20,
+  EPIC: 100,
+  LEGENDARY: 400
+};
+
+// 合成指定单词需要消耗的石尘数量（按稀有度）
+const CRAFT_COSTS = {
+  COMMON: 40,
+  RARE: 100,
+  EPIC: 400,
+  LEGENDARY: 1600
+};
+
+// 计算一组重复卡可分解出的石尘总量
+function dustForDuplicates(rarities) {
+  return rarities.reduce((sum, rarity) => sum + (DUST_VALUES[rarity] || 0), 0);
+}
+
+// 消耗石尘合成指定单词
+async function craftWord(userId, wordId) {
+  const result = await prisma.$transaction(async (tx) => {
+    const word = await tx.word.findUnique({ where: { id: wordId } });
+    if (!word) {
+      throw new AppError(404, '单词不存在');
+    }
+
+    const existing = await tx.userWord.findUnique({
+      where: { userId_wordId: { userId, wordId } }
+    });
+    if (existing) {
+      throw new AppError(400, '已拥有该单词');
+    }
+
+    const cost = CRAFT_COSTS[word.rarity];
+
+    // 条件扣减，余额不足时不会扣成负数
+    const { count } = await tx.user.updateMany({
+      where: { id: userId, stoneDust: { gte: cost } },
+      data: { stoneDust: { decrement: cost } }
+    });
+    if (count === 0) {
+      throw new AppError(400, `石尘不足，合成需要 ${cost} 石尘`);
+    }
+
+    await tx.userWord.create({
+      data: { userId, wordId }
+    });
+
+    const completedCollections = await checkCollectionCompletion(tx, userId, [wordId]);
+
+    const user = await tx.user.findUnique({
+      where: { id: userId },
+      select: { stoneDust: true }
+    });
+
+    return {
+      wordId: word.id,
+      word: word.word,
+      definition: word.definition,
+      rarity: word.rarity,
+      cost,
+      stoneDust: user.stoneDust,
+      completedCollections
+    };
+  });
+
+  gameEvents.emit('words-acquired', { userId, words: [result.word] });
+
+  return result;
+}
+
+module.exports = { DUST_VALUES, CRAFT_COSTS, dustForDuplicates, craftWord };
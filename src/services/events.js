@@ -0,0 +1,11 @@
+const { EventEmitter } = require('events');
+
+// 进程内的游戏事件总线：HTTP 路由和服务在数据提交后发出事件，聊天服务订阅后同步在线状态
+// 'words-acquired' { userId, words: ['apple', ...] } 用户获得了新单词
+// 'room-updated'   { room } 管理员修改或停用了房间（room 为 rooms 表记录）
+// 'message-deleted'   { messageId, roomId, reason } 管理员删除了聊天消息
+// 'mute-updated'      { userId, mute: { mutedUntil, reason } | null } 用户被禁言或解除禁言
+// 'blocklist-updated' {} 管理员修改了聊天禁用词表
+const gameEvents = new EventEmitter();
+
+module.exports = { gameEvents };
@@ -0,0 +1,256 @@
+// 英语词形还原：根据规则和不规则变化表，推测一个词形可能对应的原形
+// 聊天校验时只要任一候选原形在用户的词汇表中且词性符合该还原规则，就视为拥有该词
+
+// 不规则动词：原形 -> 变化形式
+const IRREGULAR_VERBS = {
+  be: ['am', 'is', 'are', 'was', 'were', 'been', 'being'],
+  have: ['has', 'had', 'having'],
+  do: ['does', 'did', 'done'],
+  go: ['goes', 'went', 'gone'],
+  say: ['said'],
+  make: ['made'],
+  take: ['took', 'taken'],
+  come: ['came'],
+  see: ['saw', 'seen'],
+  know: ['knew', 'known'],
+  get: ['got', 'gotten'],
+  give: ['gave', 'given'],
+  find: ['found'],
+  think: ['thought'],
+  tell: ['told'],
+  become: ['became'],
+  show: ['showed', 'shown'],
+  leave: ['left'],
+  feel: ['felt'],
+  bring: ['brought'],
+  begin: ['began', 'begun'],
+  keep: ['kept'],
+  hold: ['held'],
+  write: ['wrote', 'written'],
+  stand: ['stood'],
+  hear: ['heard'],
+  mean: ['meant'],
+  meet: ['met'],
+  run: ['ran'],
+  pay: ['paid'],
+  sit: ['sat'],
+  speak: ['spoke', 'spoken'],
+  lie: ['lay', 'lain', 'lying'],
+  lead: ['led'],
+  grow: ['grew', 'grown'],
+  lose: ['lost'],
+  fall: ['fell', 'fallen'],
+  send: ['sent'],
+  build: ['built'],
+  understand: ['understood'],
+  draw: ['drew', 'drawn'],
+  break: ['broke', 'broken'],
+  spend: ['spent'],
+  rise: ['rose', 'risen'],
+  drive: ['drove', 'driven'],
+  buy: ['bought'],
+  wear: ['wore', 'worn'],
+  choose: ['chose', 'chosen'],
+  seek: ['sought'],
+  throw: ['threw', 'thrown'],
+  catch: ['caught'],
+  deal: ['dealt'],
+  win: ['won'],
+  forget: ['forgot', 'forgotten'],
+  forgive: ['forgave', 'forgiven'],
+  lay: ['laid'],
+  sell: ['sold'],
+  fight: ['fought'],
+  eat: ['ate', 'eaten'],
+  sing: ['sang', 'sung'],
+  swim: ['swam', 'swum'],
+  fly: ['flew', 'flown'],
+  drink: ['drank', 'drunk'],
+  sleep: ['slept'],
+  teach: ['taught'],
+  ride: ['rode', 'ridden'],
+  hide: ['hid', 'hidden'],
+  shake: ['shook', 'shaken'],
+  steal: ['stole', 'stolen'],
+  wake: ['woke', 'woken'],
+  freeze: ['froze', 'frozen'],
+  bite: ['bit', 'bitten'],
+  blow: ['blew', 'blown'],
+  feed: ['fed'],
+  hang: ['hung'],
+  shoot: ['shot'],
+  sink: ['sank', 'sunk'],
+  slide: ['slid'],
+  spin: ['spun'],
+  stick: ['stuck'],
+  sting: ['stung'],
+  strike: ['struck'],
+  swing: ['swung'],
+  tear: ['tore', 'torn'],
+  bear: ['bore', 'born', 'borne'],
+  beat: ['beaten'],
+  bend: ['bent'],
+  bind: ['bound'],
+  bleed: ['bled'],
+  breed: ['bred'],
+  burn: ['burnt'],
+  dig: ['dug'],
+  dream: ['dreamt'],
+  flee: ['fled'],
+  light: ['lit'],
+  lend: ['lent'],
+  ring: ['rang', 'rung'],
+  shine: ['shone'],
+  smell: ['smelt'],
+  spell: ['spelt'],
+  weep: ['wept'],
+  wind: ['wound'],
+  can: ['could'],
+  will: ['would'],
+  shall: ['should'],
+  may: ['might']
+};
+
+// 不规则名词复数：单数 -> 复数
+const IRREGULAR_PLURALS = {
+  child: ['children'],
+  man: ['men'],
+  woman: ['women'],
+  person: ['people'],
+  foot: ['feet'],
+  tooth: ['teeth'],
+  goose: ['geese'],
+  mouse: ['mice'],
+  louse: ['lice'],
+  ox: ['oxen'],
+  die: ['dice'],
+  datum: ['data'],
+  criterion: ['criteria'],
+  phenomenon: ['phenomena'],
+  cactus: ['cacti'],
+  fungus: ['fungi'],
+  analysis: ['analyses'],
+  crisis: ['crises'],
+  thesis: ['theses']
+};
+
+// 不规则比较级/最高级：原级 -> 变化形式
+const IRREGULAR_COMPARATIVES = {
+  good: ['better', 'best'],
+  well: ['better', 'best'],
+  bad: ['worse', 'worst'],
+  badly: ['worse', 'worst'],
+  many: ['more', 'most'],
+  much: ['more', 'most'],
+  little: ['less', 'least'],
+  far: ['farther', 'farthest', 'further', 'furthest'],
+  old: ['elder', 'eldest']
+};
+
+// 规则只适用于对应词性：复数和第三人称单数用于名词和动词，过去式和现在分词用于动词，
+// 比较级和最高级用于形容词；词性为 OTHER（未标注词性）的单词适用所有规则
+const NOUN = ['NOUN'];
+const VERB = ['VERB'];
+const NOUN_OR_VERB = ['NOUN', 'VERB'];
+const ADJECTIVE = ['ADJECTIVE'];
+const COMPARABLE = ['ADJECTIVE', 'ADVERB'];
+
+// 反向索引：变化形式 -> [{ lemma, partsOfSpeech }]
+const IRREGULAR_LEMMAS = new Map();
+for (const [table, partsOfSpeech] of [
+  [IRREGULAR_VERBS, VERB],
+  [IRREGULAR_PLURALS, NOUN],
+  [IRREGULAR_COMPARATIVES, COMPARABLE]
+]) {
+  for (const [lemma, forms] of Object.entries(table)) {
+    for (const form of forms) {
+      if (!IRREGULAR_LEMMAS.has(form)) IRREGULAR_LEMMAS.set(form, []);
+      IRREGULAR_LEMMAS.get(form).push({ lemma, partsOfSpeech });
+    }
+  }
+}
+
+const VOWELS = new Set(['a', 'e', 'i', 'o', 'u']);
+
+// 加 -es 构成复数/第三人称单数的词尾：boxes、watches、goes（bees、cares 只是加 -s）
+const ES_STEM = /(s|x|z|ch|sh|o)$/;
+
+// 去掉双写的结尾辅音：runn -> run，bigg -> big
+function undouble(stem) {
+  const last = stem[stem.length - 1];
+  if (stem.length >= 3 && last === stem[stem.length - 2] && !VOWELS.has(last)) {
+    return stem.slice(0, -1);
+  }
+  return null;
+}
+
+// 去掉后缀后的常见还原方式：原样、补 e、去双写辅音
+function stemVariants(stem) {
+  if (stem.length < 2) return [];
+  const variants = [stem, `${stem}e`];
+  const undoubled = undouble(stem);
+  if (undoubled) variants.push(undoubled);
+  return variants;
+}
+
+// 返回 token 可能的原形候选 [{ lemma, partsOfSpeech }]（包含自身，均为小写）
+// partsOfSpeech 为该还原方式适用的词性，null 表示不限（原形本身）
+function inflectionCandidates(token) {
+  const word = token.toLowerCase();
+  const candidates = new Map([[word, null]]);
+  const add = (lemmas, partsOfSpeech) => {
+    for (const lemma of lemmas) {
+      if (!candidates.has(lemma)) {
+        candidates.set(lemma, partsOfSpeech);
+        continue;
+      }
+      const existing = candidates.get(lemma);
+      if (existing && partsOfSpeech) {
+        candidates.set(lemma, [...new Set([...existing, ...partsOfSpeech])]);
+      } else {
+        candidates.set(lemma, null);
+      }
+    }
+  };
+
+  // 所有格：cat's -> cat，cats' -> cats
+  const possessive = word.endsWith("'s") ? word.slice(0, -2) : word.endsWith("s'") ? word.slice(0, -1) : null;
+  if (possessive) {
+    for (const { lemma, partsOfSpeech } of inflectionCandidates(possessive)) {
+      add([lemma], partsOfSpeech);
+    }
+  }
+
+  for (const { lemma, partsOfSpeech } of IRREGULAR_LEMMAS.get(word) || []) {
+    add([lemma], partsOfSpeech);
+  }
+
+  // 复数 / 第三人称单数
+  if (word.endsWith('ies') && word.length > 4) add([`${word.slice(0, -3)}y`], NOUN_OR_VERB);
+  if (word.endsWith('ves') && word.length > 4) add([`${word.slice(0, -3)}f`, `${word.slice(0, -3)}fe`], NOUN);
+  if (word.endsWith('es') && word.length > 3 && ES_STEM.test(word.slice(0, -2))) add([word.slice(0, -2)], NOUN_OR_VERB);
+  if (word.endsWith('s') && !word.endsWith('ss') && word.length > 2) add([word.slice(0, -1)], NOUN_OR_VERB);
+
+  // 过去式 / 过去分词
+  if (word.endsWith('ied') && word.length > 4) add([`${word.slice(0, -3)}y`], VERB);
+  if (word.endsWith('ed') && word.length > 3) add(stemVariants(word.slice(0, -2)), VERB);
+
+  // 现在分词
+  if (word.endsWith('ying') && word.length > 5) add([`${word.slice(0, -4)}ie`], VERB);
+  if (word.endsWith('ing') && word.length > 4) add(stemVariants(word.slice(0, -3)), VERB);
+
+  // 比较级 / 最高级
+  if (word.endsWith('ier') && word.length > 4) add([`${word.slice(0, -3)}y`], ADJECTIVE);
+  if (word.endsWith('iest') && word.length > 5) add([`${word.slice(0, -4)}y`], ADJECTIVE);
+  if (word.endsWith('er') && word.length > 3) add(stemVariants(word.slice(0, -2)), ADJECTIVE);
+  if (word.endsWith('est') && word.length > 4) add(stemVariants(word.slice(0, -3)), ADJECTIVE);
+
+  return [...candidates].map(([lemma, partsOfSpeech]) => ({ lemma, partsOfSpeech }));
+}
+
+// 不考虑词性时所有可能的原形（包含自身，均为小写）
+function lemmaCandidates(token) {
+  return inflectionCandidates(token).map(c => c.lemma);
+}
+
+module.exports = { inflectionCandidates, lemmaCandidates };
@@ -0,0 +1,159 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../db/prisma');
+const { AppError } = require('../utils/errors');
+const { cached } = require('../utils/cache');
+const { startOfLocalDay, startOfLocalWeek } = require('../utils/time');
+const { SIGNIN_TIMEZONE } = require('./signin');
+
+// 排行榜分页缓存时间，避免每次请求都重新统计（当前用户排名不缓存）
+const CACHE_TTL_MS = Number(process.env.LEADERBOARD_CACHE_TTL_MS) || 60 * 1000;
+
+const PERIODS = ['daily', 'weekly', 'all'];
+
+// 统计时间段的起点（按签到时区的自然日/自然周），all 返回 null
+function periodStart(period, now = new Date()) {
+  if (period === 'daily') return startOfLocalDay(now, SIGNIN_TIMEZONE);
+  if (period === 'weekly') return startOfLocalWeek(now, SIGNIN_TIMEZONE);
+  return null;
+}
+
+// 各排行榜的数据来源：返回 (userId, value) 的 SQL 子查询，value 为整数
+const BOARDS = {
+  roses: {
+    field: 'totalRoses',
+    // 总榜使用累计鲜花数（早期送出的鲜花没有送花记录）；时间段内按消息作者统计收到的送花记录
+    source: since => since
+      ? Prisma.sql`
+        SELECT m."userId" AS "userId", COUNT(*)::int AS "value"
+        FROM "rose_senders" rs
+        JOIN "messages" m ON m."id" = rs."messageId"
+        WHERE rs."sentAt" >= ${since}
+        GROUP BY m."userId"
+      `
+      : Prisma.sql`SELECT u."id" AS "userId", u."totalRoses" AS "value" FROM "users" u`
+  },
+
+  vocab: {
+    field: 'vocabCount',
+    source: since => Prisma.sql`
+      SELECT uw."userId" AS "userId", COUNT(*)::int AS "value"
+      FROM "user_words" uw
+      ${since ? Prisma.sql`WHERE uw."obtainedAt" >= ${since}` : Prisma.empty}
+      GROUP BY uw."userId"
+    `
+  },
+
+  packs: {
+    field: 'packsOpened',
+    source: since => since
+      ? Prisma.sql`
+        SELECT po."userId" AS "userId", COUNT(*)::int AS "value"
+        FROM "pack_openings" po
+        WHERE po."openedAt" >= ${since}
+        GROUP BY po."userId"
+      `
+      : Prisma.sql`SELECT u."id" AS "userId", u."packsOpened" AS "value" FROM "users" u`
+  },
+
+  consecutive: {
+    field: 'consecutiveDays',
+    allTimeOnly: true,
+    // 断签用户的 consecutiveDays 不会自动清零，只统计昨天或今天签到过的用户
+    source: () => {
+      const today = startOfLocalDay(new Date(), SIGNIN_TIMEZONE);
+      const yesterday = startOfLocalDay(new Date(today.getTime() - 1), SIGNIN_TIMEZONE);
+      return Prisma.sql`
+        SELECT u."id" AS "userId", u."consecutiveDays" AS "value"
+        FROM "users" u
+        WHERE u."lastSignInAt" >= ${yesterday}
+      `;
+    }
+  }
+};
+
+// 参与排名的用户：value > 0 且未被封禁
+function rankedScores(source) {
+  return Prisma.sql`
+    WITH scores AS (${source})
+    SELECT s."userId", s."value"
+    FROM scores s
+    JOIN "users" u ON u."id" = s."userId"
+    WHERE s."value" > 0 AND u."isBanned" = false
+  `;
+}
+
+// 一页排名（并列同名次，例如 1, 1, 3）和参与排名的总人数
+async function loadPage(source, { page, limit }) {
+  const ranked = rankedScores(source);
+  const [rows, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT u."id", u."username", u."nickname", u."avatar", u."level", r."value",
+        (RANK() OVER (ORDER BY r."value" DESC))::int AS "rank"
+      FROM (${ranked}) r
+      JOIN "users" u ON u."id" = r."userId"
+      ORDER BY r."value" DESC, u."username" ASC
+      LIMIT ${limit} OFFSET ${(page - 1) * limit}
+    `,
+    prisma.$queryRaw`SELECT COUNT(*)::int AS "total" FROM (${ranked}) r`
+  ]);
+  return { rows, total };
+}
+
+// 当前用户的排名：名次为分数高于自己的人数 + 1，不在榜上时返回 null
+async function loadMyRank(source, userId) {
+  const [mine] = await prisma.$queryRaw`
+    WITH ranked AS (${rankedScores(source)})
+    SELECT r."value",
+      ((SELECT COUNT(*) FROM ranked a WHERE a."value" > r."value") + 1)::int AS "rank"
+    FROM ranked r
+    WHERE r."userId" = ${userId}
+  `;
+  return mine || null;
+}
+
+// 获取排行榜：分页结果 + 当前用户排名（即使不在当前页）
+async function getLeaderboard(board, { period = 'all', page = 1, limit = 50, userId } = {}) {
+  const config = BOARDS[board];
+  if (!config) {
+    throw new AppError(404, '排行榜不存在');
+  }
+  if (!PERIODS.includes(period)) {
+    throw new AppError(400, `period 必须是 ${PERIODS.join('/')} 之一`);
+  }
+  if (config.allTimeOnly && period !== 'all') {
+    throw new AppError(400, '该排行榜不支持按时间段统计');
+  }
+
+  const source = config.source(periodStart(period));
+  const { rows, total } = await cached(
+    `leaderboard:${board}:${period}:${page}:${limit}`,
+    CACHE_TTL_MS,
+    () => loadPage(source, { page, limit })
+  );
+
+  const leaderboard = rows.map(({ rank, value, id, ...user }) => ({
+    rank,
+    userId: id,
+    ...user,
+    [config.field]: value
+  }));
+
+  let myRank = null;
+  if (userId) {
+    const mine = await loadMyRank(source, userId);
+    myRank = mine
+      ? { rank: mine.rank, [config.field]: mine.value }
+      : { rank: null, [config.field]: 0 };
+  }
+
+  return {
+    period,
+    leaderboard,
+    myRank,
+    total,
+    page,
+    limit
+  };
+}
+
+module.exports = { PERIODS, getLeaderboard };
@@ -0,0 +1,128 @@
+const { AppError } = require('../utils/errors');
+const { escapeHtml, sanitizeHtml } = require('../utils/html');
+const { wordRarity } = require('./vocabulary');
+
+// 结构化消息：按顺序排列的词元，每个词元可带强调样式
+// [{ text: 'hello', emphasis: 'bold' }, { text: '!' }]
+// 也可以直接传字符串，等同于 { text }
+// 稀有度颜色由服务端按发送者拥有的单词决定，客户端传来的 rarity 会被忽略
+
+const MAX_TOKENS = 100;
+const MAX_TOKEN_LENGTH = 50;
+const MAX_HTML_LENGTH = 5000;
+
+const EMPHASIS_TAGS = {
+  bold: 'strong',
+  italic: 'em',
+  underline: 'u'
+};
+
+// 单词（可含撇号，如 don't / cat's）或连续的标点符号
+const TOKEN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*|[^\s\p{L}\p{N}]+/gu;
+const PUNCTUATION = /^[^\p{L}\p{N}]+$/u;
+
+// 把纯文本切分成词元
+function tokenizeText(text) {
+  return text.match(TOKEN) || [];
+}
+
+// 校验单个词元，返回 { text, emphasis }
+function normalizeToken(token, index) {
+  const input = typeof token === 'string' ? { text: token } : token;
+  if (!input || typeof input !== 'object' || typeof input.text !== 'string') {
+    throw new AppError(400, `第 ${index + 1} 个词元格式错误`);
+  }
+
+  const text = input.text.trim();
+  if (!text || text.length > MAX_TOKEN_LENGTH) {
+    throw new AppError(400, `第 ${index + 1} 个词元长度必须在 1-${MAX_TOKEN_LENGTH} 之间`);
+  }
+  const parts = tokenizeText(text);
+  if (parts.length !== 1 || parts[0] !== text) {
+    throw new AppError(400, `第 ${index + 1} 个词元必须是单个单词或标点: ${text}`);
+  }
+
+  const normalized = { text };
+
+  if (input.emphasis != null) {
+    if (!EMPHASIS_TAGS[input.emphasis]) {
+      throw new AppError(400, `emphasis 必须是 ${Object.keys(EMPHASIS_TAGS).join('/')} 之一`);
+    }
+    normalized.emphasis = input.emphasis;
+  }
+
+  return normalized;
+}
+
+// 将校验后的词元渲染为 HTML（所有文本都经过转义）
+function renderTokens(tokens) {
+  let html = '';
+  tokens.forEach(({ text, rarity, emphasis }, index) => {
+    if (PUNCTUATION.test(text)) {
+      html += escapeHtml(text);
+      return;
+    }
+    if (index > 0) html += ' ';
+
+    let inner = escapeHtml(text);
+    if (emphasis) {
+      const tag = EMPHASIS_TAGS[emphasis];
+      inner = `<${tag}>${inner}</${tag}>`;
+    }
+    const className = rarity ? `word rarity-${rarity.toLowerCase()}` : 'word';
+    html += `<span class="${className}">${inner}</span>`;
+  });
+  return html;
+}
+
+// 词元还原为纯文本（标点紧跟前一个词）
+function tokensToText(tokens) {
+  return tokens.reduce((text, { text: token }, index) => {
+    if (index === 0 || PUNCTUATION.test(token)) return text + token;
+    return `${text} ${token}`;
+  }, '');
+}
+
+// 解析 send-message 的负载，返回 { tokens, html }，词元的稀有度按发送者的词汇表 vocabulary 填入
+// - 结构化格式：{ tokens: [...] }，由服务端渲染 HTML
+// - 旧版格式：{ html }，只取清洗后的文字切分为词元，同样由服务端渲染（不保留客户端的标签和类名）
+function parseMessagePayload({ html, tokens } = {}, vocabulary) {
+  let normalized;
+
+  if (typeof html === 'string') {
+    if (html.length > MAX_HTML_LENGTH) {
+      throw new AppError(400, `消息长度不能超过 ${MAX_HTML_LENGTH} 个字符`);
+    }
+    normalized = tokenizeText(sanitizeHtml(html).text).map(text => ({ text }));
+  } else if (Array.isArray(tokens)) {
+    if (tokens.length > MAX_TOKENS) {
+      throw new AppError(400, `单条消息最多 ${MAX_TOKENS} 个词元`);
+    }
+    normalized = tokens.map(normalizeToken);
+  } else {
+    throw new AppError(400, '消息格式错误');
+  }
+
+  if (normalized.length === 0) {
+    throw new AppError(400, '消息不能为空');
+  }
+  if (normalized.length > MAX_TOKENS) {
+    throw new AppError(400, `单条消息最多 ${MAX_TOKENS} 个词元`);
+  }
+
+  for (const token of normalized) {
+    const rarity = wordRarity(vocabulary, token.text);
+    if (rarity) token.rarity = rarity;
+  }
+
+  return { tokens: normalized, html: renderTokens(normalized) };
+}
+
+module.exports = {
+  MAX_TOKENS,
+  EMPHASIS_TAGS,
+  tokenizeText,
+  renderTokens,
+  tokensToText,
+  parseMessagePayload
+};
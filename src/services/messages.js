@@ -0,0 +1,167 @@
+const prisma = require('../db/prisma');
+const { AppError } = require('../utils/errors');
+const { sanitizeHtml } = require('../utils/html');
+const { tokensToText } = require('./messageFormat');
+const { DEFAULT_ROOM_ID } = require('./rooms');
+
+// 加入聊天时下发的历史消息条数
+const HISTORY_SIZE = 50;
+
+// 回复预览的最大字符数
+const PREVIEW_LENGTH = 50;
+
+const userSelect = { id: true, username: true, nickname: true };
+
+const messageInclude = {
+  user: { select: userSelect },
+  replyTo: {
+    select: { id: true, userId: true, content: true, tokens: true, deletedAt: true, user: { select: userSelect } }
+  },
+  _count: { select: { replies: { where: { deletedAt: null } } } }
+};
+
+// 消息的纯文本内容（优先使用结构化词元，旧消息从 HTML 中提取文字）
+function messageText(message) {
+  if (Array.isArray(message.tokens)) {
+    return tokensToText(message.tokens);
+  }
+  return sanitizeHtml(message.content).text.replace(/\s+/g, ' ').trim();
+}
+
+// 被回复消息的简短预览（被回复的消息已被删除时不显示内容）
+function toReplyPreview(parent) {
+  if (!parent) return null;
+  const deleted = !!parent.deletedAt;
+  const text = deleted ? '该消息已被删除' : messageText(parent);
+  return {
+    messageId: parent.id,
+    userId: parent.userId,
+    username: parent.user.username,
+    nickname: parent.user.nickname || null,
+    preview: text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text,
+    deleted
+  };
+}
+
+// 聊天广播使用的消息格式（与 socket 'message' 事件一致）
+function toChatMessage(message) {
+  return {
+    id: message.id,
+    type: 'user',
+    roomId: message.roomId,
+    userId: message.userId,
+    username: message.user.username,
+    nickname: message.user.nickname || null,
+    content: message.content,
+    tokens: message.tokens || null,
+    roses: message.roses,
+    replyTo: message.replyToId || null,
+    replyPreview: toReplyPreview(message.replyTo),
+    replyCount: message._count?.replies || 0,
+    timestamp: message.timestamp.getTime()
+  };
+}
+
+// HTTP 接口使用的消息格式
+function toApiMessage(message, { hasRosed = false } = {}) {
+  return {
+    messageId: message.id,
+    roomId: message.roomId,
+    userId: message.userId,
+    username: message.user.username,
+    nickname: message.user.nickname || null,
+    content: message.content,
+    tokens: message.tokens || null,
+    roses: message.roses,
+    timestamp: message.timestamp.getTime(),
+    replyTo: message.replyToId || null,
+    replyPreview: toReplyPreview(message.replyTo),
+    replyCount: message._count?.replies || 0,
+    hasRosed
+  };
+}
+
+// 保存一条聊天消息（content 为渲染后的 HTML，tokens 为结构化词元）
+// replyToId 为被回复的消息 ID，必须是同一房间中已存在的消息
+async function saveMessage(userId, { html, tokens }, { roomId = DEFAULT_ROOM_ID, replyToId = null } = {}) {
+  if (replyToId) {
+    const parent = await prisma.message.findUnique({
+      where: { id: replyToId },
+      select: { id: true, roomId: true, deletedAt: true }
+    });
+    if (!parent || parent.roomId !== roomId || parent.deletedAt) {
+      throw new AppError(404, '回复的消息不存在');
+    }
+  }
+
+  return prisma.message.create({
+    data: { userId, roomId, content: html, tokens, replyToId },
+    include: messageInclude
+  });
+}
+
+// 按游标分页查询，cursor 为上一页最后一条消息的 ID
+async function findPage({ where, order, cursor, limit }) {
+  const messages = await prisma.message.findMany({
+    where,
+    include: messageInclude,
+    orderBy: [{ timestamp: order }, { id: order }],
+    take: limit + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+  });
+
+  const hasMore = messages.length > limit;
+  const page = hasMore ? messages.slice(0, limit) : messages;
+
+  return {
+    messages: page,
+    hasMore,
+    nextCursor: hasMore ? page[page.length - 1].id : null
+  };
+}
+
+// 按时间倒序分页查询房间内的消息
+async function listMessages({ roomId = DEFAULT_ROOM_ID, cursor, limit = HISTORY_SIZE } = {}) {
+  return findPage({ where: { roomId, deletedAt: null }, order: 'desc', cursor, limit });
+}
+
+// 按时间正序分页查询某条消息的回复
+async function listReplies(messageId, { cursor, limit = HISTORY_SIZE } = {}) {
+  return findPage({ where: { replyToId: messageId, deletedAt: null }, order: 'asc', cursor, limit });
+}
+
+// 房间最近的聊天记录（按时间正序），用于进入房间时恢复上下文
+async function getRecentHistory(roomId = DEFAULT_ROOM_ID, limit = HISTORY_SIZE) {
+  const { messages } = await listMessages({ roomId, limit });
+  return messages.reverse().map(toChatMessage);
+}
+
+// 管理员删除消息（保留记录和删除原因，不再出现在聊天记录中），返回 { messageId, roomId, userId }
+async function deleteMessage(messageId, moderatorId, reason) {
+  const message = await prisma.message.findUnique({
+    where: { id: messageId },
+    select: { id: true, roomId: true, userId: true, deletedAt: true }
+  });
+  if (!message || message.deletedAt) {
+    throw new AppError(404, '消息不存在');
+  }
+
+  await prisma.message.update({
+    where: { id: messageId },
+    data: { deletedAt: new Date(), deletedById: moderatorId, deleteReason: reason }
+  });
+  return { messageId: message.id, roomId: message.roomId, userId: message.userId };
+}
+
+module.exports = {
+  HISTORY_SIZE,
+  messageInclude,
+  messageText,
+  toChatMessage,
+  toApiMessage,
+  saveMessage,
+  listMessages,
+  listReplies,
+  getRecentHistory,
+  deleteMessage
+};
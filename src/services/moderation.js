@@ -0,0 +1,129 @@
+const prisma = require('../db/prisma');
+const { AppError } = require('../utils/errors');
+const { inflectionCandidates } = require('./inflection');
+
+// 禁言时长上限（秒）
+const MAX_MUTE_DURATION = 30 * 24 * 60 * 60;
+const MAX_REASON_LENGTH = 200;
+
+// 所有管理操作都必须填写原因
+function validateReason(reason) {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new AppError(400, '请填写操作原因');
+  }
+  if (reason.trim().length > MAX_REASON_LENGTH) {
+    throw new AppError(400, `操作原因不能超过${MAX_REASON_LENGTH}个字符`);
+  }
+  return reason.trim();
+}
+
+// 禁言时长（秒），必须为正整数
+function validateMuteDuration(duration) {
+  if (!Number.isInteger(duration) || duration <= 0) {
+    throw new AppError(400, '禁言时长必须为正整数（秒）');
+  }
+  if (duration > MAX_MUTE_DURATION) {
+    throw new AppError(400, '禁言时长不能超过30天');
+  }
+  return duration;
+}
+
+// 在线连接缓存的禁言状态：{ mutedUntil: 毫秒时间戳, reason }，未禁言时为 null
+function toMuteState(mute) {
+  return mute ? { mutedUntil: mute.expiresAt.getTime(), reason: mute.reason } : null;
+}
+
+function isMuted(muteState) {
+  return !!muteState && muteState.mutedUntil > Date.now();
+}
+
+// 用户当前生效的禁言（多条时取到期最晚的一条）
+async function getActiveMute(userId) {
+  return prisma.chatMute.findFirst({
+    where: { userId, liftedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { expiresAt: 'desc' }
+  });
+}
+
+// 禁用词缓存（小写词形 -> [词性]），管理员修改禁用词表后失效
+let blockedWords = null;
+
+// 禁用词本身以及单词表中登记的变体
+// 禁用词在单词表中有词性（OTHER 除外）时，按该词性的规则变化的词形同样禁用（见 findBlockedTokens）；
+// 变体、不在单词表中或未标注词性的禁用词只匹配原样的词形
+async function queryBlockedForms() {
+  const rows = await prisma.blockedWord.findMany({
+    where: { removedAt: null },
+    select: { word: true }
+  });
+  const forms = new Map();
+  const addForm = (form, partOfSpeech) => {
+    if (!forms.has(form)) forms.set(form, []);
+    forms.get(form).push(partOfSpeech);
+  };
+  if (rows.length === 0) return forms;
+
+  const words = await prisma.word.findMany({
+    where: { word: { in: rows.map(r => r.word) } },
+    select: { word: true, partOfSpeech: true, variants: true }
+  });
+  const byWord = new Map(words.map(w => [w.word, w]));
+  for (const { word } of rows) {
+    const entry = byWord.get(word);
+    addForm(word, entry && entry.partOfSpeech !== 'OTHER' ? entry.partOfSpeech : null);
+    for (const variant of entry ? entry.variants : []) addForm(variant, null);
+  }
+  return forms;
+}
+
+// 词是否命中禁用词：原样命中，或按规则还原后命中词性相符的禁用词
+function isBlocked(blocked, word) {
+  return inflectionCandidates(word).some(({ lemma, partsOfSpeech }) =>
+    (blocked.get(lemma) || []).some(partOfSpeech =>
+      !partsOfSpeech || (partOfSpeech && partsOfSpeech.includes(partOfSpeech))
+    )
+  );
+}
+
+function loadBlockedWords() {
+  if (!blockedWords) {
+    blockedWords = queryBlockedForms();
+    blockedWords.catch(() => {
+      blockedWords = null;
+    });
+  }
+  return blockedWords;
+}
+
+function invalidateBlockedWords() {
+  blockedWords = null;
+}
+
+// 返回消息中的禁用词（保持原始写法，去重）
+// 词形还原区分词性：禁用动词 kill 时 kills、killed、killing 同样禁用，禁用名词 bit 不会误伤 bitter
+async function findBlockedTokens(tokens) {
+  const blocked = await loadBlockedWords();
+  if (blocked.size === 0) return [];
+
+  const result = [];
+  const seen = new Set();
+  for (const token of tokens) {
+    const word = token.trim().toLowerCase();
+    if (!word || seen.has(word)) continue;
+    seen.add(word);
+    if (isBlocked(blocked, word)) {
+      result.push(token.trim());
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  validateReason,
+  validateMuteDuration,
+  toMuteState,
+  isMuted,
+  getActiveMute,
+  invalidateBlockedWords,
+  findBlockedTokens
+};
@@ -0,0 +1,72 @@
+const prisma = require('../db/prisma');
+
+// 向指定用户推送 Socket.IO 通知
+// 每个 socket 在连接认证通过后加入 user:<userId> 房间，同一用户的多个连接都能收到
+let io = null;
+
+function attachIO(server) {
+  io = server;
+}
+
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+// 每个 socket 同时加入 session:<sessionId> 房间，撤销单个登录会话时只断开该会话的连接
+function sessionRoom(sessionId) {
+  return `session:${sessionId}`;
+}
+
+// payload 格式：{ notificationType, title, message, data }
+function notifyUser(userId, payload) {
+  if (!io || !userId) return;
+  io.to(userRoom(userId)).emit('notification', {
+    ...payload,
+    timestamp: Date.now()
+  });
+}
+
+// 保存一条通知并实时推送：用户离线时上线后可通过 /api/users/me/notifications 查看
+async function createNotification(userId, { type, title, message, data = null }) {
+  const notification = await prisma.notification.create({
+    data: { userId, type, title, message, data }
+  });
+  notifyUser(userId, {
+    notificationId: notification.id,
+    notificationType: type,
+    title,
+    message,
+    data
+  });
+  return notification;
+}
+
+// 断开指定用户的所有 socket 连接（封禁、令牌失效时使用）
+// 断开前先发送 error 事件告知原因，例如 { code: 'BANNED', message: '你已被封禁' }
+function disconnectUser(userId, reason) {
+  if (!io || !userId) return;
+  const room = io.to(userRoom(userId));
+  if (reason) {
+    room.emit('error', reason);
+  }
+  io.in(userRoom(userId)).disconnectSockets(true);
+}
+
+// 断开指定登录会话的 socket 连接（登出、撤销会话时使用）
+function disconnectSession(sessionId, reason) {
+  if (!io || !sessionId) return;
+  if (reason) {
+    io.to(sessionRoom(sessionId)).emit('error', reason);
+  }
+  io.in(sessionRoom(sessionId)).disconnectSockets(true);
+}
+
+module.exports = {
+  attachIO,
+  userRoom,
+  sessionRoom,
+  notifyUser,
+  createNotification,
+  disconnectUser,
+  disconnectSession
+};
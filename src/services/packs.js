@@ -0,0 +1,380 @@
+const prisma = require('../db/prisma');
+const { AppError } = require('../utils/errors');
+const { DUST_VALUES, dustForDuplicates } = require('./dust');
+const { checkCollectionCompletion } = require('./collections');
+const { gameEvents } = require('./events');
+
+const RARITIES = ['COMMON', 'RARE', 'EPIC', 'LEGENDARY'];
+
+// 将卡包的 weights（{"common": 70, ...}）转换为以 Rarity 枚举为键的权重表
+function normalizeWeights(weights) {
+  const normalized = {};
+  for (const rarity of RARITIES) {
+    const value = Number(weights?.[rarity.toLowerCase()] ?? weights?.[rarity] ?? 0);
+    normalized[rarity] = Number.isFinite(value) && value > 0 ? value : 0;
+  }
+  return normalized;
+}
+
+// 按权重随机抽取一个稀有度，只在 available 中的稀有度里抽取
+function rollRarity(weights, available = RARITIES, random = Math.random) {
+  const candidates = RARITIES.filter(r => available.includes(r));
+  if (candidates.length === 0) return null;
+
+  const total = candidates.reduce((sum, r) => sum + (weights[r] || 0), 0);
+  // 可用稀有度的权重全为 0 时，退化为均匀抽取
+  if (total <= 0) {
+    return candidates[Math.floor(random() * candidates.length)];
+  }
+
+  let roll = random() * total;
+  for (const rarity of candidates) {
+    roll -= weights[rarity] || 0;
+    if (roll < 0) return rarity;
+  }
+  return candidates[candidates.length - 1];
+}
+
+// 校验卡包权重：必须恰好包含四种稀有度，且各项为非负数、总和为 100
+// 返回统一为小写键的权重对象，校验失败抛出 AppError
+function validateWeights(weights) {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    throw new AppError(400, '权重格式错误');
+  }
+
+  const keys = Object.keys(weights).map(k => k.toLowerCase());
+  const expected = RARITIES.map(r => r.toLowerCase());
+  if (
+    keys.length !== expected.length ||
+    new Set(keys).size !== keys.length ||
+    !expected.every(k => keys.includes(k))
+  ) {
+    throw new AppError(400, `权重必须恰好包含 ${expected.join('、')} 四个键`);
+  }
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(weights)) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new AppError(400, `权重 ${key} 必须是非负数`);
+    }
+    normalized[key.toLowerCase()] = value;
+  }
+
+  const total = Object.values(normalized).reduce((sum, v) => sum + v, 0);
+  // 允许浮点误差
+  if (Math.abs(total - 100) > 1e-6) {
+    throw new AppError(400, `权重总和必须为 100，当前为 ${total}`);
+  }
+
+  return normalized;
+}
+
+// 解析可选日期字段：undefined 表示未提供，null/'' 表示清空
+function parseOptionalDate(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(400, `${field} 不是有效的日期`);
+  }
+  return date;
+}
+
+// 解析可选的保底阈值：null 表示关闭保底
+function parseOptionalThreshold(value, field) {
+  if (value === undefined || value === null) return value;
+  if (!Number.isInteger(value) || value < 1) {
+    throw new AppError(400, `${field} 必须是正整数或 null`);
+  }
+  return value;
+}
+
+// 校验管理员提交的卡包数据，partial 为 true 时只校验提供的字段（用于编辑）
+// 返回 { data, wordIds }，wordIds 为 undefined 表示不修改词池
+function validatePackInput(body, { partial = false } = {}) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      throw new AppError(400, '卡包名称不能为空');
+    }
+    data.name = body.name.trim();
+  }
+
+  if (body.description !== undefined || !partial) {
+    if (typeof body.description !== 'string') {
+      throw new AppError(400, '卡包描述格式错误');
+    }
+    data.description = body.description;
+  }
+
+  if (body.cardCount !== undefined || !partial) {
+    if (!Number.isInteger(body.cardCount) || body.cardCount < 1 || body.cardCount > 20) {
+      throw new AppError(400, '卡牌数量必须是 1-20 之间的整数');
+    }
+    data.cardCount = body.cardCount;
+  }
+
+  if (body.weights !== undefined || !partial) {
+    data.weights = validateWeights(body.weights);
+  }
+
+  const epicPityThreshold = parseOptionalThreshold(body.epicPityThreshold, 'epicPityThreshold');
+  if (epicPityThreshold !== undefined) data.epicPityThreshold = epicPityThreshold;
+
+  const legendaryPityThreshold = parseOptionalThreshold(body.legendaryPityThreshold, 'legendaryPityThreshold');
+  if (legendaryPityThreshold !== undefined) data.legendaryPityThreshold = legendaryPityThreshold;
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') {
+      throw new AppError(400, 'isActive 必须是布尔值');
+    }
+    data.isActive = body.isActive;
+  }
+
+  const availableFrom = parseOptionalDate(body.availableFrom, 'availableFrom');
+  if (availableFrom !== undefined) data.availableFrom = availableFrom;
+
+  const availableUntil = parseOptionalDate(body.availableUntil, 'availableUntil');
+  if (availableUntil !== undefined) data.availableUntil = availableUntil;
+
+  if (data.availableFrom && data.availableUntil && data.availableFrom >= data.availableUntil) {
+    throw new AppError(400, '上架时间必须早于下架时间');
+  }
+
+  let wordIds;
+  if (body.wordIds !== undefined) {
+    if (body.wordIds !== null && !Array.isArray(body.wordIds)) {
+      throw new AppError(400, 'wordIds 必须是数组或 null');
+    }
+    wordIds = [...new Set(body.wordIds || [])];
+  }
+
+  return { data, wordIds };
+}
+
+// 当前可购买/展示的卡包筛选条件：已启用且在上架时间窗口内
+function availablePackWhere(now = new Date()) {
+  return {
+    isActive: true,
+    AND: [
+      { OR: [{ availableFrom: null }, { availableFrom: { lte: now } }] },
+      { OR: [{ availableUntil: null }, { availableUntil: { gt: now } }] }
+    ]
+  };
+}
+
+// 给用户发放卡包（同时累加用户总卡包数）
+async function grantPack(client, userId, packId, count) {
+  const userPack = await client.userPack.upsert({
+    where: { userId_packId: { userId, packId } },
+    update: { count: { increment: count } },
+    create: { userId, packId, count }
+  });
+
+  await client.user.update({
+    where: { id: userId },
+    data: { totalPacks: { increment: count } }
+  });
+
+  return userPack;
+}
+
+// 判断本次开包是否触发保底：计数 + 1 达到阈值即触发
+function isPityTriggered(counter, threshold) {
+  return threshold != null && threshold > 0 && counter + 1 >= threshold;
+}
+
+// 对一包卡的稀有度应用保底规则，返回调整后的稀有度列表
+// counters: { epicPity, legendaryPity }，thresholds: { epicPityThreshold, legendaryPityThreshold }
+function applyPity(rarities, counters, thresholds, weights, available = RARITIES, random = Math.random) {
+  const result = [...rarities];
+  if (result.length === 0) return result;
+
+  const hasLegendary = () => result.includes('LEGENDARY');
+  const hasEpicOrBetter = () => result.some(r => r === 'EPIC' || r === 'LEGENDARY');
+
+  // 传说保底：将最后一张替换为传说
+  if (
+    isPityTriggered(counters.legendaryPity, thresholds.legendaryPityThreshold) &&
+    available.includes('LEGENDARY') &&
+    !hasLegendary()
+  ) {
+    result[result.length - 1] = 'LEGENDARY';
+  }
+
+  // 史诗保底：将最后一张替换为史诗或传说（按卡包权重在两者间抽取）
+  if (isPityTriggered(counters.epicPity, thresholds.epicPityThreshold) && !hasEpicOrBetter()) {
+    const rarity = rollRarity(weights, available.filter(r => r === 'EPIC' || r === 'LEGENDARY'), random);
+    if (rarity) {
+      result[result.length - 1] = rarity;
+    }
+  }
+
+  return result;
+}
+
+// 根据本次抽到的稀有度计算新的保底计数
+function nextPityCounters(rarities, counters) {
+  return {
+    epicPity: rarities.some(r => r === 'EPIC' || r === 'LEGENDARY') ? 0 : counters.epicPity + 1,
+    legendaryPity: rarities.includes('LEGENDARY') ? 0 : counters.legendaryPity + 1
+  };
+}
+
+// 保底进度的展示格式，供开包结果和 GET /api/packs/me 使用
+function formatPity(userPack, pack) {
+  const entry = (counter, threshold) => ({
+    counter,
+    threshold: threshold ?? null,
+    remaining: threshold ? Math.max(threshold - counter, 1) : null
+  });
+  return {
+    epic: entry(userPack.epicPity, pack.epicPityThreshold),
+    legendary: entry(userPack.legendaryPity, pack.legendaryPityThreshold)
+  };
+}
+
+// 在事务中开启一个卡包：扣减库存、抽卡、写入用户单词库存、重复卡分解为石尘
+async function openPack(userId, packId) {
+  const result = await prisma.$transaction(async (tx) => {
+    const pack = await tx.pack.findUnique({ where: { id: packId } });
+    if (!pack) {
+      throw new AppError(404, '卡包不存在');
+    }
+
+    // 条件扣减，避免并发请求把数量扣成负数
+    const { count: decremented } = await tx.userPack.updateMany({
+      where: { userId, packId, count: { gt: 0 } },
+      data: { count: { decrement: 1 } }
+    });
+    if (decremented === 0) {
+      throw new AppError(400, '没有可用的卡包');
+    }
+
+    await tx.packOpening.create({ data: { userId, packId } });
+
+    // 卡包设置了限定词池时，只从词池中抽取
+    const poolSize = await tx.packWord.count({ where: { packId } });
+    const wordWhere = poolSize > 0 ? { packWords: { some: { packId } } } : {};
+
+    // 统计各稀有度的单词数量，跳过词库中没有单词的稀有度
+    const groups = await tx.word.groupBy({
+      by: ['rarity'],
+      where: wordWhere,
+      _count: { _all: true }
+    });
+    const wordCounts = Object.fromEntries(groups.map(g => [g.rarity, g._count._all]));
+    const available = RARITIES.filter(r => wordCounts[r] > 0);
+    if (available.length === 0) {
+      throw new AppError(400, '词库为空，无法开启卡包');
+    }
+
+    const counters = await tx.userPack.findUnique({
+      where: { userId_packId: { userId, packId } },
+      select: { epicPity: true, legendaryPity: true }
+    });
+
+    const weights = normalizeWeights(pack.weights);
+    const rolled = Array.from({ length: pack.cardCount }, () => rollRarity(weights, available));
+    const rarities = applyPity(rolled, counters, pack, weights, available);
+    const pity = nextPityCounters(rarities, counters);
+
+    const drawn = [];
+    for (const rarity of rarities) {
+      const word = await tx.word.findFirst({
+        where: { ...wordWhere, rarity },
+        skip: Math.floor(Math.random() * wordCounts[rarity]),
+        orderBy: { id: 'asc' }
+      });
+      drawn.push(word);
+    }
+
+    // 判断哪些是新单词（同一包内重复抽到的也算重复卡）
+    const owned = await tx.userWord.findMany({
+      where: { userId, wordId: { in: drawn.map(w => w.id) } },
+      select: { wordId: true }
+    });
+    const ownedIds = new Set(owned.map(uw => uw.wordId));
+
+    const drawnWords = drawn.map(word => {
+      const isNew = !ownedIds.has(word.id);
+      ownedIds.add(word.id);
+      return {
+        wordId: word.id,
+        word: word.word,
+        definition: word.definition,
+        rarity: word.rarity,
+        pronunciation: word.pronunciation,
+        partOfSpeech: word.partOfSpeech,
+        isNew,
+        isDuplicate: !isNew,
+        dust: isNew ? 0 : DUST_VALUES[word.rarity]
+      };
+    });
+
+    const newWordIds = drawnWords.filter(w => w.isNew).map(w => w.wordId);
+    if (newWordIds.length > 0) {
+      await tx.userWord.createMany({
+        data: newWordIds.map(wordId => ({ userId, wordId })),
+        skipDuplicates: true
+      });
+    }
+
+    const completedCollections = await checkCollectionCompletion(tx, userId, newWordIds);
+
+    // 重复卡自动分解为石尘
+    const dustGained = dustForDuplicates(
+      drawnWords.filter(w => w.isDuplicate).map(w => w.rarity)
+    );
+
+    const user = await tx.user.update({
+      where: { id: userId },
+      data: {
+        totalPacks: { decrement: 1 },
+        packsOpened: { increment: 1 },
+        stoneDust: { increment: dustGained }
+      },
+      select: { stoneDust: true }
+    });
+
+    const userPack = await tx.userPack.update({
+      where: { userId_packId: { userId, packId } },
+      data: pity,
+      select: { count: true, epicPity: true, legendaryPity: true }
+    });
+
+    return {
+      packId,
+      drawnWords,
+      newCount: newWordIds.length,
+      duplicateCount: drawnWords.length - newWordIds.length,
+      dustGained,
+      stoneDust: user.stoneDust,
+      remainingPacks: userPack.count,
+      pity: formatPity(userPack, pack),
+      completedCollections
+    };
+  });
+
+  const newWords = result.drawnWords.filter(w => w.isNew).map(w => w.word);
+  if (newWords.length > 0) {
+    gameEvents.emit('words-acquired', { userId, words: newWords });
+  }
+
+  return result;
+}
+
+module.exports = {
+  RARITIES,
+  normalizeWeights,
+  rollRarity,
+  applyPity,
+  nextPityCounters,
+  formatPity,
+  validateWeights,
+  validatePackInput,
+  availablePackWhere,
+  grantPack,
+  openPack
+};
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const store = require('../store');
+
+// 在线状态：按用户聚合多个连接（多个标签页），每个连接记录所在的聊天房间
+// 多实例部署时在线状态保存在共享存储中，每个实例只在本地保存自己的连接：
+//   users:    userId -> { userId, username, nickname, level, vocabulary, mute, sockets: Set<socketId> }（本实例的连接）
+//   sessions: socketId -> { userId, room, typingTimer }（本实例的连接）
+// 共享存储中的 key：
+//   presence:profiles          userId -> JSON { userId, username, nickname, vocabCount, roses }
+//   presence:sockets:<userId>  socketId -> 所在房间 ID（未进入房间时为空字符串）
+//   presence:room:<roomId>     userId -> 该用户在房间中的连接数
+//   presence:instances         instanceId -> 最近一次心跳时间
+//   presence:instance:<id>     socketId -> userId（该实例上的连接，实例失联时据此清理）
+//   presence:alive:<id>        实例存活标记，心跳时续期，过期即视为实例已停止
+const users = new Map();
+const sessions = new Map();
+
+// 实例 ID：设置 INSTANCE_ID（如容器名）时重启后沿用，启动时先清理上次运行遗留的连接
+const INSTANCE_ID = process.env.INSTANCE_ID || crypto.randomUUID();
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+const INSTANCE_TTL_MS = 30 * 1000;
+
+const PROFILES_KEY = 'presence:profiles';
+const INSTANCES_KEY = 'presence:instances';
+const socketsKey = userId => `presence:sockets:${userId}`;
+const roomKey = roomId => `presence:room:${roomId}`;
+const instanceKey = instanceId => `presence:instance:${instanceId}`;
+const aliveKey = instanceId => `presence:alive:${instanceId}`;
+const purgeLockKey = instanceId => `presence:purge:${instanceId}`;
+
+// 登记一个连接；同一用户已在线时复用用户数据并更新资料
+// 返回 { user, session, sessionCount }，sessionCount 为该用户在所有实例上的连接数
+async function addSession(socketId, profile) {
+  const { totalRoses, ...local } = profile;
+  let user = users.get(profile.userId);
+  if (user) {
+    Object.assign(user, local);
+  } else {
+    user = { ...local, sockets: new Set() };
+    users.set(profile.userId, user);
+  }
+  user.sockets.add(socketId);
+
+  const session = { userId: profile.userId, room: null };
+  sessions.set(socketId, session);
+
+  await store.hset(PROFILES_KEY, profile.userId, JSON.stringify({
+    userId: profile.userId,
+    username: profile.username,
+    nickname: profile.nickname || null,
+    vocabCount: profile.vocabulary.wordCount,
+    roses: totalRoses || 0
+  }));
+  await store.hset(socketsKey(profile.userId), socketId, '');
+  await store.hset(instanceKey(INSTANCE_ID), socketId, profile.userId);
+  const sessionCount = await store.hlen(socketsKey(profile.userId));
+  return { user, session, sessionCount };
+}
+
+// 移除一个连接，返回 { user, session }；用户的最后一个连接断开时同时移除用户
+async function removeSession(socketId) {
+  const session = sessions.get(socketId);
+  if (!session) return null;
+  sessions.delete(socketId);
+
+  const user = users.get(session.userId);
+  user.sockets.delete(socketId);
+  if (user.sockets.size === 0) {
+    users.delete(session.userId);
+  }
+
+  await removeSharedSocket(session.userId, socketId);
+  await store.hdel(instanceKey(INSTANCE_ID), socketId);
+  return { user, session };
+}
+
+// 从共享存储中移除一个连接：所在房间的计数减一，用户没有其他连接时移除资料
+// 返回连接所在的房间 ID（不在房间中时为 null）
+async function removeSharedSocket(userId, socketId) {
+  const roomId = await store.hget(socketsKey(userId), socketId);
+  await store.hdel(socketsKey(userId), socketId);
+  if (roomId) {
+    if (await store.hincrby(roomKey(roomId), userId, -1) <= 0) {
+      await store.hdel(roomKey(roomId), userId);
+    }
+  }
+  if (await store.hlen(socketsKey(userId)) === 0) {
+    await store.hdel(PROFILES_KEY, userId);
+  }
+  return roomId || null;
+}
+
+// 连接进入房间，返回该用户此前是否不在这个房间（用于决定是否广播 userJoined）
+async function addToRoom(socketId, room) {
+  const session = sessions.get(socketId);
+  session.room = room;
+  await store.hset(socketsKey(session.userId), socketId, room.id);
+  return (await store.hincrby(roomKey(room.id), session.userId, 1)) === 1;
+}
+
+// 连接离开当前房间，返回这是否是该用户在房间中的最后一个连接（用于决定是否广播 userLeft）
+async function removeFromRoom(socketId) {
+  const session = sessions.get(socketId);
+  const roomId = session.room.id;
+  session.room = null;
+  await store.hset(socketsKey(session.userId), socketId, '');
+  const remaining = await store.hincrby(roomKey(roomId), session.userId, -1);
+  if (remaining <= 0) {
+    await store.hdel(roomKey(roomId), session.userId);
+    return true;
+  }
+  return false;
+}
+
+function getSession(socketId) {
+  return sessions.get(socketId) || null;
+}
+
+// 本实例上的在线用户（包含词汇缓存）
+function getUser(userId) {
+  return users.get(userId) || null;
+}
+
+// 在线用户列表中的单个用户（包含词汇量、鲜花数和在线连接数），不在线时返回 null
+async function getPresence(userId) {
+  const raw = await store.hget(PROFILES_KEY, userId);
+  if (!raw) return null;
+  return { ...JSON.parse(raw), sessions: await store.hlen(socketsKey(userId)) };
+}
+
+// 更新在线用户的词汇量或鲜花数：{ vocabCount?, roses? }，用户不在线时忽略
+async function updatePresence(userId, changes) {
+  const raw = await store.hget(PROFILES_KEY, userId);
+  if (!raw) return;
+  await store.hset(PROFILES_KEY, userId, JSON.stringify({ ...JSON.parse(raw), ...changes }));
+}
+
+// 用户当前所在的房间 ID（多个标签页可能在不同房间）
+async function roomsOfUser(userId) {
+  const rooms = Object.values(await store.hgetall(socketsKey(userId)));
+  return [...new Set(rooms.filter(Boolean))];
+}
+
+// 房间内的在线用户（每个用户只出现一次）
+async function usersInRoom(roomId) {
+  const userIds = Object.keys(await store.hgetall(roomKey(roomId)));
+  const result = await Promise.all(userIds.map(getPresence));
+  return result.filter(Boolean);
+}
+
+// 本实例上房间内的所有连接 [socketId, session]
+function sessionsInRoom(roomId) {
+  return [...sessions.entries()].filter(([, session]) => session.room?.id === roomId);
+}
+
+// 实例心跳：续期存活标记
+async function heartbeat() {
+  await store.set(aliveKey(INSTANCE_ID), Date.now(), { ttlMs: INSTANCE_TTL_MS });
+  await store.hset(INSTANCES_KEY, INSTANCE_ID, Date.now());
+}
+
+// 清理一个实例登记的所有连接，返回受影响的房间 ID
+async function purgeInstance(instanceId) {
+  const rooms = new Set();
+  const sockets = await store.hgetall(instanceKey(instanceId));
+  for (const [socketId, userId] of Object.entries(sockets)) {
+    const roomId = await removeSharedSocket(userId, socketId);
+    if (roomId) rooms.add(roomId);
+  }
+  await store.del(instanceKey(instanceId));
+  await store.hdel(INSTANCES_KEY, instanceId);
+  return [...rooms];
+}
+
+// 清理已停止心跳的实例（异常退出、失联），多个实例同时检查时只有一个执行清理
+// 返回受影响的房间 ID
+async function purgeDeadInstances() {
+  const rooms = new Set();
+  for (const instanceId of Object.keys(await store.hgetall(INSTANCES_KEY))) {
+    if (instanceId === INSTANCE_ID || await store.get(aliveKey(instanceId))) continue;
+    const locked = await store.set(purgeLockKey(instanceId), INSTANCE_ID, {
+      ttlMs: INSTANCE_TTL_MS,
+      onlyIfAbsent: true
+    });
+    if (!locked) continue;
+    for (const roomId of await purgeInstance(instanceId)) rooms.add(roomId);
+  }
+  return [...rooms];
+}
+
+module.exports = {
+  INSTANCE_ID,
+  HEARTBEAT_INTERVAL_MS,
+  heartbeat,
+  purgeInstance,
+  purgeDeadInstances,
+  addSession,
+  removeSession,
+  addToRoom,
+  removeFromRoom,
+  getSession,
+  getUser,
+  getPresence,
+  updatePresence,
+  roomsOfUser,
+  usersInRoom,
+  sessionsInRoom
+};
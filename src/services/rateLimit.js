@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const store = require('../store');
+
+// 滑动窗口限流，计数保存在共享状态存储中（STATE_STORE=redis 时多实例共享，重启后仍然有效）
+// 共享存储中的 key：
+//   ratelimit:<scope>:<id>          有序集合，成员为每次尝试，分数为尝试时间（毫秒）
+//   ratelimit:<scope>:lock:<id>     锁定标记，过期时间即剩余锁定时长
+//   ratelimit:<scope>:strikes:<id>  最近被锁定的次数，用于逐级延长锁定时间
+
+// 规则：窗口 windowMs 内最多 limit 次；设置 lockout 时超出后锁定，
+// 锁定时长从 lockout.baseMs 开始每次翻倍，最长 lockout.maxMs，lockout.decayMs 内没有再被锁定则重新计算
+const RULES = {
+  // 同一 IP 的登录尝试
+  'login-ip': {
+    limit: 20,
+    windowMs: 10 * 60 * 1000,
+    lockout: { baseMs: 60 * 1000, maxMs: 60 * 60 * 1000, decayMs: 24 * 60 * 60 * 1000 }
+  },
+  // 同一 IP 对同一用户名的登录尝试（登录成功后清零，相当于只统计失败次数）
+  // 按用户名 + IP 计数，其他人无法通过故意输错密码锁定别人的账号
+  'login-user-ip': {
+    limit: 5,
+    windowMs: 15 * 60 * 1000,
+    lockout: { baseMs: 60 * 1000, maxMs: 60 * 60 * 1000, decayMs: 24 * 60 * 60 * 1000 }
+  },
+  // 同一 IP 的注册请求
+  'register-ip': {
+    limit: 10,
+    windowMs: 60 * 60 * 1000
+  }
+};
+
+const windowKey = (scope, id) => `ratelimit:${scope}:${id}`;
+const lockKey = (scope, id) => `ratelimit:${scope}:lock:${id}`;
+const strikesKey = (scope, id) => `ratelimit:${scope}:strikes:${id}`;
+
+// 锁定并返回锁定时长（毫秒）
+async function lockOut(scope, id, lockout) {
+  const strikes = await store.incr(strikesKey(scope, id));
+  await store.pexpire(strikesKey(scope, id), lockout.decayMs);
+
+  const lockMs = Math.min(lockout.baseMs * 2 ** (strikes - 1), lockout.maxMs);
+  await store.set(lockKey(scope, id), strikes, { ttlMs: lockMs });
+  await store.del(windowKey(scope, id));
+  return lockMs;
+}
+
+// 记录一次尝试；允许时返回 null，超出限制时返回需要等待的毫秒数
+// 多个实例同时检查时可能多放行几次，不影响限流效果
+async function consume(scope, id) {
+  const rule = RULES[scope];
+  if (rule.lockout) {
+    const lockedMs = await store.pttl(lockKey(scope, id));
+    if (lockedMs > 0) return lockedMs;
+  }
+
+  const key = windowKey(scope, id);
+  const now = Date.now();
+  await store.zremrangebyscore(key, 0, now - rule.windowMs);
+
+  if (await store.zcard(key) >= rule.limit) {
+    if (rule.lockout) {
+      return lockOut(scope, id, rule.lockout);
+    }
+    const [oldest] = await store.zrangeWithScores(key, 0, 0);
+    return Math.max(1000, oldest.score + rule.windowMs - now);
+  }
+
+  await store.zadd(key, now, `${now}:${crypto.randomBytes(4).toString('hex')}`);
+  await store.pexpire(key, rule.windowMs);
+  return null;
+}
+
+// 清空计数（不解除锁定，也不清除锁定次数）
+async function reset(scope, id) {
+  await store.del(windowKey(scope, id));
+}
+
+module.exports = {
+  RULES,
+  consume,
+  reset
+};
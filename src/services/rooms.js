@@ -0,0 +1,118 @@
+const prisma = require('../db/prisma');
+const { AppError } = require('../utils/errors');
+const { RARITIES } = require('./packs');
+const { findUnownedTokens } = require('./vocabulary');
+
+// 默认大厅，由迁移创建，不能停用
+const DEFAULT_ROOM_ID = 'lobby';
+
+const roomSelect = {
+  id: true,
+  name: true,
+  description: true,
+  minLevel: true,
+  allowedRarities: true,
+  isActive: true,
+  createdAt: true
+};
+
+// Socket.IO 房间名
+function roomChannel(roomId) {
+  return `room:${roomId}`;
+}
+
+function formatRoom(room) {
+  return {
+    roomId: room.id,
+    name: room.name,
+    description: room.description,
+    rules: {
+      minLevel: room.minLevel,
+      allowedRarities: room.allowedRarities
+    },
+    isActive: room.isActive
+  };
+}
+
+// 获取可进入的房间，不存在或已停用时抛出 404
+async function getActiveRoom(roomId) {
+  const room = await prisma.room.findUnique({ where: { id: roomId }, select: roomSelect });
+  if (!room || !room.isActive) {
+    throw new AppError(404, '房间不存在');
+  }
+  return room;
+}
+
+// 校验房间规则，返回不通过的原因，通过时返回 null
+// user: { level, vocabulary }，tokens 为消息中的词元文本（已确认全部拥有）
+function checkRoomRules(room, user, tokens) {
+  if (user.level < room.minLevel) {
+    return `该房间需要等级 ${room.minLevel} 才能发言`;
+  }
+  if (room.allowedRarities.length > 0) {
+    const disallowed = findUnownedTokens(user.vocabulary, tokens, { rarities: room.allowedRarities });
+    if (disallowed.length > 0) {
+      return `该房间只允许使用 ${room.allowedRarities.join('/')} 单词 [${disallowed.join(', ')}]`;
+    }
+  }
+  return null;
+}
+
+// 校验创建/编辑房间的请求体，partial 为 true 时只校验传入的字段
+function validateRoomInput(body, { partial = false } = {}) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      throw new AppError(400, '房间名称不能为空');
+    }
+    if (body.name.trim().length > 30) {
+      throw new AppError(400, '房间名称不能超过 30 个字符');
+    }
+    data.name = body.name.trim();
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      throw new AppError(400, '房间描述格式错误');
+    }
+    data.description = body.description || null;
+  }
+
+  if (body.minLevel !== undefined) {
+    if (!Number.isInteger(body.minLevel) || body.minLevel < 1) {
+      throw new AppError(400, 'minLevel 必须是正整数');
+    }
+    data.minLevel = body.minLevel;
+  }
+
+  if (body.allowedRarities !== undefined) {
+    if (!Array.isArray(body.allowedRarities)) {
+      throw new AppError(400, 'allowedRarities 必须是数组');
+    }
+    const rarities = [...new Set(body.allowedRarities.map(r => String(r).toUpperCase()))];
+    if (!rarities.every(r => RARITIES.includes(r))) {
+      throw new AppError(400, `allowedRarities 只能包含 ${RARITIES.join('/')}`);
+    }
+    data.allowedRarities = rarities;
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') {
+      throw new AppError(400, 'isActive 必须是布尔值');
+    }
+    data.isActive = body.isActive;
+  }
+
+  return data;
+}
+
+module.exports = {
+  DEFAULT_ROOM_ID,
+  roomSelect,
+  roomChannel,
+  formatRoom,
+  getActiveRoom,
+  checkRoomRules,
+  validateRoomInput
+};
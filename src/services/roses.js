@@ -0,0 +1,68 @@
+const prisma = require('../db/prisma');
+const { AppError } = require('../utils/errors');
+const { evaluateAchievements } = require('./achievements');
+
+// 切换送花状态：未送过则送出，已送过则取消
+// 送花记录保存在 rose_senders 表中，消息鲜花数和作者总鲜花数在同一事务内增减
+async function toggleRose(senderId, messageId) {
+  const result = await prisma.$transaction(async (tx) => {
+    const message = await tx.message.findUnique({
+      where: { id: messageId },
+      select: { id: true, userId: true, roomId: true, deletedAt: true }
+    });
+    if (!message || message.deletedAt) {
+      throw new AppError(404, '消息不存在');
+    }
+    if (message.userId === senderId) {
+      throw new AppError(400, '不能给自己送花哦~');
+    }
+
+    let action;
+    const removed = await tx.roseSender.deleteMany({
+      where: { messageId, userId: senderId }
+    });
+    if (removed.count > 0) {
+      action = 'removed';
+    } else {
+      const added = await tx.roseSender.createMany({
+        data: [{ messageId, userId: senderId }],
+        skipDuplicates: true
+      });
+      // 并发请求已经插入了同一条记录
+      if (added.count === 0) {
+        throw new AppError(409, '操作过于频繁，请稍后再试');
+      }
+      action = 'added';
+    }
+
+    const delta = action === 'added' ? { increment: 1 } : { decrement: 1 };
+    const updatedMessage = await tx.message.update({
+      where: { id: messageId },
+      data: { roses: delta },
+      select: { roses: true }
+    });
+    const receiver = await tx.user.update({
+      where: { id: message.userId },
+      data: { totalRoses: delta },
+      select: { id: true, username: true, totalRoses: true }
+    });
+
+    return {
+      messageId,
+      roomId: message.roomId,
+      action,
+      roses: updatedMessage.roses,
+      receiver
+    };
+  });
+
+  // 收到鲜花后检查成就，成就奖励的鲜花计入总数
+  if (result.action === 'added') {
+    const unlocked = await evaluateAchievements(result.receiver.id, 'roses');
+    result.receiver.totalRoses += unlocked.reduce((sum, a) => sum + a.rewardRoses, 0);
+  }
+
+  return result;
+}
+
+module.exports = { toggleRose };
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../db/prisma');
+const { AppError } = require('../utils/errors');
+
+// 登录会话：访问令牌（JWT）短期有效，过期后用刷新令牌换取新的访问令牌
+// 刷新令牌格式为 <sessionId>.<随机串>，数据库只保存随机串的哈希；每次刷新都会换成新的刷新令牌，
+// 旧的刷新令牌再次出现说明可能被盗用，此时整个会话立即撤销
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const MAX_USER_AGENT_LENGTH = 255;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      userId: user.id,
+      username: user.username,
+      role: user.role,
+      sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// 返回给客户端的令牌：{ token, refreshToken, expiresIn: 访问令牌有效秒数 }
+function issueTokens(user, sessionId, secret) {
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken: `${sessionId}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+// 请求来源设备信息：{ userAgent, ip }
+function clientInfo(req) {
+  const userAgent = req.get('user-agent');
+  return {
+    userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+    ip: req.ip || null
+  };
+}
+
+// 登录或注册成功后创建会话
+async function createSession(user, { userAgent, ip }) {
+  const secret = newSecret();
+  const session = await prisma.userSession.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashSecret(secret),
+      userAgent,
+      ip,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    }
+  });
+  return { sessionId: session.id, ...issueTokens(user, session.id, secret) };
+}
+
+function isSessionActive(session) {
+  return !!session && !session.revokedAt && session.expiresAt.getTime() > Date.now();
+}
+
+// 用刷新令牌换取新的令牌，返回 { user, sessionId, token, refreshToken, expiresIn }
+// user 包含 id、username、role、isBanned、bannedUntil，由调用方检查封禁状态
+async function refreshSession(refreshToken, { userAgent, ip }) {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!sessionId || !secret) {
+    throw new AppError(401, '刷新令牌无效或已过期');
+  }
+
+  const session = await prisma.userSession.findUnique({
+    where: { id: sessionId },
+    include: {
+      user: {
+        select: { id: true, username: true, role: true, isBanned: true, bannedUntil: true }
+      }
+    }
+  });
+  if (!isSessionActive(session)) {
+    throw new AppError(401, '刷新令牌无效或已过期');
+  }
+
+  if (session.refreshTokenHash !== hashSecret(secret)) {
+    await revokeSession(sessionId, '刷新令牌被重复使用');
+    throw new AppError(401, '刷新令牌无效或已过期');
+  }
+
+  // 只有持有当前刷新令牌的请求能完成轮换，并发的重复刷新会失败
+  const nextSecret = newSecret();
+  const { count } = await prisma.userSession.updateMany({
+    where: { id: sessionId, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashSecret(nextSecret),
+      userAgent,
+      ip,
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    }
+  });
+  if (count === 0) {
+    throw new AppError(401, '刷新令牌无效或已过期');
+  }
+
+  return { user: session.user, sessionId, ...issueTokens(session.user, sessionId, nextSecret) };
+}
+
+// 访问令牌对应的会话是否仍然有效（登出或被撤销后立即失效）
+async function getActiveSession(sessionId) {
+  if (!sessionId) return null;
+  const session = await prisma.userSession.findUnique({
+    where: { id: sessionId },
+    select: { id: true, userId: true, revokedAt: true, expiresAt: true }
+  });
+  return isSessionActive(session) ? session : null;
+}
+
+// 撤销单个会话，返回是否撤销成功（会话不存在或已撤销时返回 false）
+async function revokeSession(sessionId, reason, { userId } = {}) {
+  const where = { id: sessionId, revokedAt: null };
+  if (userId) where.userId = userId;
+  const { count } = await prisma.userSession.updateMany({
+    where,
+    data: { revokedAt: new Date(), revokeReason: reason }
+  });
+  return count > 0;
+}
+
+// 撤销用户的所有会话（修改密码、修改角色、封禁时），返回撤销的会话数
+async function revokeAllSessions(userId, reason) {
+  const { count } = await prisma.userSession.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date(), revokeReason: reason }
+  });
+  return count;
+}
+
+// 用户仍然有效的会话（最近使用的在前）
+async function listSessions(userId) {
+  return prisma.userSession.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: {
+      id: true,
+      userAgent: true,
+      ip: true,
+      createdAt: true,
+      lastUsedAt: true,
+      expiresAt: true
+    },
+    orderBy: { lastUsedAt: 'desc' }
+  });
+}
+
+// 删除早已失效的会话记录（定期执行），返回删除的记录数
+async function purgeExpiredSessions() {
+  const cutoff = new Date(Date.now() - REFRESH_TOKEN_TTL_MS);
+  const { count } = await prisma.userSession.deleteMany({
+    where: {
+      OR: [
+        { expiresAt: { lt: cutoff } },
+        { revokedAt: { lt: cutoff } }
+      ]
+    }
+  });
+  return count;
+}
+
+module.exports = {
+  clientInfo,
+  createSession,
+  refreshSession,
+  getActiveSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  purgeExpiredSessions
+};
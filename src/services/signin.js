@@ -0,0 +1,142 @@
+const prisma = require('../db/prisma');
+const { AppError } = require('../utils/errors');
+const { grantPack } = require('./packs');
+const time = require('../utils/time');
+
+// 判断“同一天”使用的时区，可通过 SIGNIN_TIMEZONE 配置
+const SIGNIN_TIMEZONE = process.env.SIGNIN_TIMEZONE || 'Asia/Shanghai';
+
+// 默认 7 天签到奖励周期，连续签到第 8 天重新从第 1 天的奖励开始
+// 可通过 SIGNIN_REWARDS 配置为 JSON：[{ "roses": 10, "packs": [{ "packId": "xxx", "count": 1 }] }, ...]
+const DEFAULT_REWARDS = [
+  { roses: 10, packs: [] },
+  { roses: 12, packs: [] },
+  { roses: 14, packs: [] },
+  { roses: 16, packs: [] },
+  { roses: 18, packs: [] },
+  { roses: 20, packs: [] },
+  { roses: 30, packs: [{ packId: 'default-pack-001', count: 1 }] }
+];
+
+function loadRewardCycle() {
+  if (!process.env.SIGNIN_REWARDS) return DEFAULT_REWARDS;
+  try {
+    const cycle = JSON.parse(process.env.SIGNIN_REWARDS);
+    if (!Array.isArray(cycle) || cycle.length === 0) {
+      throw new Error('必须是非空数组');
+    }
+    return cycle.map(day => ({
+      roses: Number.isInteger(day.roses) && day.roses > 0 ? day.roses : 0,
+      packs: Array.isArray(day.packs) ? day.packs : []
+    }));
+  } catch (error) {
+    console.error('SIGNIN_REWARDS 配置无效，使用默认签到奖励:', error.message);
+    return DEFAULT_REWARDS;
+  }
+}
+
+const REWARD_CYCLE = loadRewardCycle();
+
+// 返回签到时区下的日期字符串，例如 2025-12-23
+function localDate(date) {
+  return time.localDate(date, SIGNIN_TIMEZONE);
+}
+
+// 连续签到第 streak 天对应的奖励
+function rewardForStreak(streak) {
+  const cycleDay = ((streak - 1) % REWARD_CYCLE.length) + 1;
+  return { cycleDay, ...REWARD_CYCLE[cycleDay - 1] };
+}
+
+// 计算签到状态：今天是否已签到、当前有效连续天数、下次签到的连续天数
+function getSignInState(user, now = new Date()) {
+  const today = localDate(now);
+  const last = user.lastSignInAt ? localDate(user.lastSignInAt) : null;
+  const gap = last ? time.daysBetween(last, today) : null;
+
+  const hasSignedToday = gap === 0;
+  // 昨天或今天签到过，连续天数才有效；断签后视为 0
+  const currentStreak = gap === 0 || gap === 1 ? user.consecutiveDays : 0;
+  const nextStreak = hasSignedToday ? user.consecutiveDays + 1 : currentStreak + 1;
+
+  return { today, hasSignedToday, currentStreak, nextStreak };
+}
+
+// 每日签到：更新连续天数、发放奖励、写入签到记录
+async function signIn(userId, now = new Date()) {
+  return prisma.$transaction(async (tx) => {
+    const user = await tx.user.findUnique({
+      where: { id: userId },
+      select: { lastSignInAt: true, consecutiveDays: true }
+    });
+    if (!user) {
+      throw new AppError(404, '用户不存在');
+    }
+
+    const state = getSignInState(user, now);
+    if (state.hasSignedToday) {
+      throw new AppError(400, '今天已经签到过了');
+    }
+
+    const streak = state.nextStreak;
+    const reward = rewardForStreak(streak);
+
+    // 以读取到的 lastSignInAt 作为条件更新，防止并发请求重复签到
+    const { count } = await tx.user.updateMany({
+      where: { id: userId, lastSignInAt: user.lastSignInAt },
+      data: {
+        consecutiveDays: streak,
+        lastSignInAt: now,
+        totalRoses: { increment: reward.roses }
+      }
+    });
+    if (count === 0) {
+      throw new AppError(400, '今天已经签到过了');
+    }
+
+    const packs = await tx.pack.findMany({
+      where: { id: { in: reward.packs.map(p => p.packId) } },
+      select: { id: true, name: true }
+    });
+    const packNames = new Map(packs.map(p => [p.id, p.name]));
+
+    const rewardPacks = [];
+    for (const { packId, count: packCount = 1 } of reward.packs) {
+      if (!packNames.has(packId)) continue;
+      await grantPack(tx, userId, packId, packCount);
+      rewardPacks.push({ packId, name: packNames.get(packId), count: packCount });
+    }
+
+    await tx.loginReward.create({
+      data: {
+        userId,
+        day: streak,
+        rewardRoses: reward.roses,
+        rewardPacks: rewardPacks.length > 0 ? rewardPacks : undefined,
+        claimedAt: now
+      }
+    });
+
+    const updated = await tx.user.findUnique({
+      where: { id: userId },
+      select: { totalRoses: true }
+    });
+
+    return {
+      consecutiveDays: streak,
+      cycleDay: reward.cycleDay,
+      rewardRoses: reward.roses,
+      rewardPacks,
+      totalRoses: updated.totalRoses
+    };
+  });
+}
+
+module.exports = {
+  SIGNIN_TIMEZONE,
+  REWARD_CYCLE,
+  localDate,
+  rewardForStreak,
+  getSignInState,
+  signIn
+};
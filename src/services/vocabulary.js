@@ -0,0 +1,104 @@
+const prisma = require('../db/prisma');
+const { inflectionCandidates } = require('./inflection');
+const { RARITIES } = require('./packs');
+
+// 无需拥有即可使用的功能词（冠词、代词），可通过 CHAT_FREE_WORDS 配置（逗号分隔，覆盖默认列表）
+const DEFAULT_FREE_WORDS = [
+  'a', 'an', 'the',
+  'i', 'me', 'my', 'mine', 'myself',
+  'you', 'your', 'yours', 'yourself', 'yourselves',
+  'he', 'him', 'his', 'himself',
+  'she', 'her', 'hers', 'herself',
+  'it', 'its', 'itself',
+  'we', 'us', 'our', 'ours', 'ourselves',
+  'they', 'them', 'their', 'theirs', 'themselves'
+];
+
+const FREE_WORDS = new Set(
+  (process.env.CHAT_FREE_WORDS ? process.env.CHAT_FREE_WORDS.split(',') : DEFAULT_FREE_WORDS)
+    .map(w => w.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+// 纯标点符号（不含字母和数字）
+const PUNCTUATION = /^[^\p{L}\p{N}]+$/u;
+
+// 加载用户的词汇表，用于聊天时的词汇校验
+// 返回 { wordCount, forms }，forms 为拥有的单词及其变体（小写）到 [{ rarity, partOfSpeech }] 的映射
+async function loadVocabulary(userId) {
+  const userWords = await prisma.userWord.findMany({
+    where: { userId },
+    select: { word: { select: { word: true, variants: true, rarity: true, partOfSpeech: true } } }
+  });
+
+  const forms = new Map();
+  const addForm = (form, entry) => {
+    const key = form.toLowerCase();
+    if (!forms.has(key)) forms.set(key, []);
+    forms.get(key).push(entry);
+  };
+  for (const { word } of userWords) {
+    const entry = { rarity: word.rarity, partOfSpeech: word.partOfSpeech };
+    addForm(word.word, entry);
+    for (const variant of word.variants) {
+      addForm(variant, entry);
+    }
+  }
+  return { wordCount: userWords.length, forms };
+}
+
+// 使该词可用的已拥有单词 [{ rarity, partOfSpeech }]：拥有的单词/变体，或按其词性规则还原后为拥有的单词
+// 词性为 OTHER 的单词（旧数据和未标注词性的单词）不限制规则的词性
+function matchOwnedWords(vocabulary, word) {
+  const matches = [];
+  for (const { lemma, partsOfSpeech } of inflectionCandidates(word)) {
+    for (const entry of vocabulary.forms.get(lemma) || []) {
+      if (!partsOfSpeech || entry.partOfSpeech === 'OTHER' || partsOfSpeech.includes(entry.partOfSpeech)) {
+        matches.push(entry);
+      }
+    }
+  }
+  return matches;
+}
+
+// 判断单个词是否可以使用：功能词、标点、或匹配拥有的单词
+// rarities 不为空时，匹配的单词还必须是其中一种稀有度（房间规则）
+function isTokenAllowed(vocabulary, word, rarities = null) {
+  if (FREE_WORDS.has(word) || PUNCTUATION.test(word)) return true;
+  return matchOwnedWords(vocabulary, word).some(entry => {
+    return !rarities || rarities.length === 0 || rarities.includes(entry.rarity);
+  });
+}
+
+// 词在消息中显示的稀有度：匹配的已拥有单词中最高的稀有度；功能词、标点或未拥有时返回 null
+function wordRarity(vocabulary, word) {
+  let best = null;
+  for (const { rarity } of matchOwnedWords(vocabulary, word.toLowerCase())) {
+    if (!best || RARITIES.indexOf(rarity) > RARITIES.indexOf(best)) best = rarity;
+  }
+  return best;
+}
+
+// 返回消息中不允许使用的词汇（保持原始写法，去重）
+function findUnownedTokens(vocabulary, tokens, { rarities = null } = {}) {
+  const unowned = [];
+  const seen = new Set();
+  for (const token of tokens) {
+    const word = token.trim().toLowerCase();
+    if (!word || seen.has(word)) continue;
+    seen.add(word);
+    if (!isTokenAllowed(vocabulary, word, rarities)) {
+      unowned.push(token.trim());
+    }
+  }
+  return unowned;
+}
+
+module.exports = {
+  FREE_WORDS,
+  loadVocabulary,
+  matchOwnedWords,
+  isTokenAllowed,
+  wordRarity,
+  findUnownedTokens
+};
@@ -0,0 +1,202 @@
+const prisma = require('../db/prisma');
+const { AppError } = require('../utils/errors');
+const { parseCsvObjects } = require('../utils/csv');
+const { RARITIES } = require('./packs');
+
+const PARTS_OF_SPEECH = [
+  'NOUN',
+  'VERB',
+  'ADJECTIVE',
+  'ADVERB',
+  'PRONOUN',
+  'PREPOSITION',
+  'CONJUNCTION',
+  'INTERJECTION',
+  'OTHER'
+];
+
+// 单次导入的最大行数
+const MAX_IMPORT_ROWS = 5000;
+
+// 变体既可以是数组，也可以是 CSV 中用 | 或 ; 分隔的字符串
+function parseVariants(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[|;]/);
+  if (!list.every(v => typeof v === 'string')) {
+    throw new AppError(400, 'variants 必须是字符串数组');
+  }
+  return [...new Set(list.map(v => v.trim().toLowerCase()).filter(Boolean))];
+}
+
+// 校验单词数据，partial 为 true 时只校验提供的字段（用于编辑）
+// 返回可直接写入 prisma.word 的数据，校验失败抛出 AppError
+function validateWordInput(body, { partial = false } = {}) {
+  const data = {};
+
+  if (body.word !== undefined || !partial) {
+    if (typeof body.word !== 'string' || !body.word.trim()) {
+      throw new AppError(400, '单词不能为空');
+    }
+    const word = body.word.trim().toLowerCase();
+    if (word.length > 64) {
+      throw new AppError(400, '单词长度不能超过64个字符');
+    }
+    data.word = word;
+  }
+
+  if (body.definition !== undefined || !partial) {
+    if (typeof body.definition !== 'string' || !body.definition.trim()) {
+      throw new AppError(400, '释义不能为空');
+    }
+    data.definition = body.definition.trim();
+  }
+
+  if (body.rarity !== undefined || !partial) {
+    const rarity = typeof body.rarity === 'string' ? body.rarity.trim().toUpperCase() : '';
+    if (!RARITIES.includes(rarity)) {
+      throw new AppError(400, `稀有度必须是 ${RARITIES.join('/')} 之一`);
+    }
+    data.rarity = rarity;
+  }
+
+  if (body.partOfSpeech !== undefined && body.partOfSpeech !== '') {
+    const partOfSpeech = typeof body.partOfSpeech === 'string' ? body.partOfSpeech.trim().toUpperCase() : '';
+    if (!PARTS_OF_SPEECH.includes(partOfSpeech)) {
+      throw new AppError(400, `词性必须是 ${PARTS_OF_SPEECH.join('/')} 之一`);
+    }
+    data.partOfSpeech = partOfSpeech;
+  } else if (!partial) {
+    data.partOfSpeech = 'OTHER';
+  }
+
+  if (body.pronunciation !== undefined) {
+    if (body.pronunciation !== null && typeof body.pronunciation !== 'string') {
+      throw new AppError(400, '音标格式错误');
+    }
+    data.pronunciation = body.pronunciation ? body.pronunciation.trim() : null;
+  }
+
+  if (body.variants !== undefined || !partial) {
+    data.variants = parseVariants(body.variants);
+  }
+
+  return data;
+}
+
+// 将导入请求解析为行数组：支持 { words: [...] } 或 { csv: "word,definition,..." }
+// firstRow 为第一条数据对应的行号（CSV 第 1 行是表头），用于错误定位
+function parseImportRows(body) {
+  let rows;
+  let firstRow = 1;
+  if (Array.isArray(body.words)) {
+    rows = body.words;
+  } else if (typeof body.csv === 'string') {
+    firstRow = 2;
+    try {
+      rows = parseCsvObjects(body.csv);
+    } catch (error) {
+      throw new AppError(400, error.message);
+    }
+  } else {
+    throw new AppError(400, '请提供 words 数组或 csv 文本');
+  }
+
+  if (rows.length === 0) {
+    throw new AppError(400, '导入数据为空');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(400, `单次最多导入 ${MAX_IMPORT_ROWS} 行`);
+  }
+  return { rows, firstRow };
+}
+
+// 导入行中提供的字段（CSV 中的空单元格视为未提供）
+function providedFields(raw) {
+  return Object.fromEntries(
+    Object.entries(raw).filter(([, value]) => value !== undefined && value !== '')
+  );
+}
+
+// 批量导入单词
+// onConflict: 'skip' 跳过已存在的单词，'update' 只用导入行中提供的字段覆盖，未提供的字段保持不变
+// dryRun 为 true 时只校验并返回结果，不写入数据库
+async function importWords(rows, { dryRun = false, onConflict = 'skip', firstRow = 1 } = {}) {
+  const errors = [];
+  const valid = [];
+  const seen = new Map();
+
+  rows.forEach((raw, index) => {
+    const row = index + firstRow;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push({ row, word: null, error: '行数据格式错误' });
+      return;
+    }
+    try {
+      // 此时还不知道单词是否已存在，先只校验提供的字段，新建的单词在下面再完整校验
+      const data = validateWordInput(providedFields(raw), { partial: true });
+      if (!data.word) {
+        throw new AppError(400, '单词不能为空');
+      }
+      if (seen.has(data.word)) {
+        errors.push({ row, word: data.word, error: `与第 ${seen.get(data.word)} 行重复` });
+        return;
+      }
+      seen.set(data.word, row);
+      valid.push({ row, raw, data });
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+      errors.push({ row, word: typeof raw.word === 'string' ? raw.word : null, error: error.message });
+    }
+  });
+
+  const existing = await prisma.word.findMany({
+    where: { word: { in: valid.map(v => v.data.word) } },
+    select: { word: true }
+  });
+  const existingWords = new Set(existing.map(w => w.word));
+
+  const toCreate = [];
+  for (const { row, raw, data } of valid) {
+    if (existingWords.has(data.word)) continue;
+    try {
+      toCreate.push({ row, data: validateWordInput(raw) });
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+      errors.push({ row, word: data.word, error: error.message });
+    }
+  }
+  errors.sort((a, b) => a.row - b.row);
+
+  const toUpdate = onConflict === 'update' ? valid.filter(v => existingWords.has(v.data.word)) : [];
+  const skipped = onConflict === 'update' ? [] : valid.filter(v => existingWords.has(v.data.word));
+
+  if (!dryRun) {
+    await prisma.$transaction(async (tx) => {
+      if (toCreate.length > 0) {
+        await tx.word.createMany({
+          data: toCreate.map(v => v.data),
+          skipDuplicates: true
+        });
+      }
+      for (const { data } of toUpdate) {
+        await tx.word.update({ where: { word: data.word }, data });
+      }
+    }, { timeout: 60000 });
+  }
+
+  return {
+    dryRun,
+    total: rows.length,
+    created: toCreate.map(v => v.data.word),
+    updated: toUpdate.map(v => v.data.word),
+    skipped: skipped.map(v => v.data.word),
+    errors
+  };
+}
+
+module.exports = {
+  PARTS_OF_SPEECH,
+  validateWordInput,
+  parseImportRows,
+  importWords
+};
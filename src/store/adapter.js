@@ -0,0 +1,49 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// Socket.IO 集群适配器：通过状态存储的发布/订阅在各服务器实例之间转发广播、
+// fetchSockets / disconnectSockets 和 serverSideEmit，使 io.to(room).emit 能到达所有实例上的连接
+// 消息以 JSON 编码，因此广播的数据中不能包含二进制内容
+class StoreAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, store, opts) {
+    super(nsp, opts);
+    this.store = store;
+    this.channel = `socket.io#${nsp.name}#`;
+    this.subscriptions = Promise.all([
+      store.subscribe(this.channel, raw => this.onMessage(JSON.parse(raw))),
+      store.subscribe(responseChannel(nsp.name, this.uid), raw => this.onResponse(JSON.parse(raw)))
+    ]);
+    this.subscriptions
+      .then(() => this.init())
+      .catch(error => console.error('Socket.IO 适配器订阅失败:', error.message));
+  }
+
+  // 返回值是连接状态恢复用的偏移量，这里不支持恢复，返回空字符串
+  async doPublish(message) {
+    await this.store.publish(this.channel, JSON.stringify(message));
+    return '';
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.store.publish(responseChannel(this.nsp.name, requesterUid), JSON.stringify(response));
+  }
+
+  close() {
+    super.close();
+    this.subscriptions
+      .then(unsubscribes => Promise.all(unsubscribes.map(unsubscribe => unsubscribe())))
+      .catch(() => {});
+  }
+}
+
+function responseChannel(nspName, uid) {
+  return `socket.io-response#${nspName}#${uid}#`;
+}
+
+// 用法：new Server(httpServer, { adapter: createStoreAdapter(store) })
+function createStoreAdapter(store, opts = {}) {
+  return function (nsp) {
+    return new StoreAdapter(nsp, store, opts);
+  };
+}
+
+module.exports = { createStoreAdapter };
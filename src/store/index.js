@@ -0,0 +1,25 @@
+const { MemoryStore } = require('./memoryStore');
+const { RedisStore } = require('./redisStore');
+
+// 共享状态存储（在线状态、限流计数、集群消息）
+// STATE_STORE=memory（默认）：单实例部署，状态保存在进程内
+// STATE_STORE=redis：多实例部署，所有实例连接同一个 REDIS_URL
+const STATE_STORE = process.env.STATE_STORE || 'memory';
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+
+function createStore() {
+  if (STATE_STORE === 'redis') {
+    return new RedisStore(REDIS_URL);
+  }
+  if (STATE_STORE !== 'memory') {
+    throw new Error(`未知的 STATE_STORE: ${STATE_STORE}（可选 memory 或 redis）`);
+  }
+  return new MemoryStore();
+}
+
+const store = createStore();
+
+// 是否多实例部署（需要 Socket.IO 集群适配器）
+store.clustered = STATE_STORE === 'redis';
+
+module.exports = store;
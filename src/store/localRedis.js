@@ -0,0 +1,131 @@
+const net = require('net');
+const { MemoryStore } = require('./memoryStore');
+const { RespParser, encodeReply } = require('./resp');
+
+// 进程内的 Redis 替身：用 MemoryStore 实现服务器用到的命令子集，
+// 用于在本地没有 Redis 时启动多个实例调试集群部署
+//   node src/store/localRedis.js [port]
+// 然后各实例使用 STATE_STORE=redis REDIS_URL=redis://127.0.0.1:<port>
+
+const commands = {
+  PING: () => 'PONG',
+  AUTH: () => 'OK',
+  SELECT: () => 'OK',
+  GET: (store, [key]) => store.get(key),
+  SET: async (store, [key, value, ...options]) => {
+    const upper = options.map(o => o.toUpperCase());
+    const pxIndex = upper.indexOf('PX');
+    const ttlMs = pxIndex === -1 ? undefined : Number(options[pxIndex + 1]);
+    const written = await store.set(key, value, { ttlMs, onlyIfAbsent: upper.includes('NX') });
+    return written ? 'OK' : null;
+  },
+  DEL: (store, keys) => Promise.all(keys.map(key => store.del(key)))
+    .then(results => results.reduce((sum, n) => sum + n, 0)),
+  INCR: (store, [key]) => store.incr(key),
+  PEXPIRE: (store, [key, ttlMs]) => store.pexpire(key, Number(ttlMs)),
+  PTTL: (store, [key]) => store.pttl(key),
+  HSET: (store, [key, field, value]) => store.hset(key, field, value),
+  HGET: (store, [key, field]) => store.hget(key, field),
+  HDEL: (store, [key, field]) => store.hdel(key, field),
+  HGETALL: async (store, [key]) => Object.entries(await store.hgetall(key)).flat(),
+  HLEN: (store, [key]) => store.hlen(key),
+  HINCRBY: (store, [key, field, increment]) => store.hincrby(key, field, Number(increment)),
+  ZADD: (store, [key, score, member]) => store.zadd(key, Number(score), member),
+  ZREMRANGEBYSCORE: (store, [key, min, max]) => store.zremrangebyscore(key, parseScore(min), parseScore(max)),
+  ZCARD: (store, [key]) => store.zcard(key),
+  ZRANGE: async (store, [key, start, stop]) => {
+    const items = await store.zrangeWithScores(key, Number(start), Number(stop));
+    return items.flatMap(({ member, score }) => [member, String(score)]);
+  },
+  PUBLISH: (store, [channel, message]) => store.publish(channel, message)
+};
+
+function parseScore(value) {
+  if (value === '-inf') return -Infinity;
+  if (value === '+inf' || value === 'inf') return Infinity;
+  return Number(value);
+}
+
+function createLocalRedisServer({ store = new MemoryStore() } = {}) {
+  const server = net.createServer(socket => {
+    // 当前连接订阅的频道 -> 取消订阅函数
+    const subscriptions = new Map();
+    // 命令按顺序执行，保证响应顺序与请求一致
+    let queue = Promise.resolve();
+
+    const reply = value => {
+      if (!socket.destroyed) socket.write(encodeReply(value));
+    };
+
+    const execute = async ([name, ...args]) => {
+      const command = String(name).toUpperCase();
+
+      if (command === 'SUBSCRIBE') {
+        for (const channel of args) {
+          if (!subscriptions.has(channel)) {
+            const unsubscribe = await store.subscribe(channel, message => {
+              reply(['message', channel, message]);
+            });
+            subscriptions.set(channel, unsubscribe);
+          }
+          reply(['subscribe', channel, subscriptions.size]);
+        }
+        return;
+      }
+      if (command === 'UNSUBSCRIBE') {
+        for (const channel of args) {
+          const unsubscribe = subscriptions.get(channel);
+          if (unsubscribe) await unsubscribe();
+          subscriptions.delete(channel);
+          reply(['unsubscribe', channel, subscriptions.size]);
+        }
+        return;
+      }
+      if (command === 'QUIT') {
+        reply('OK');
+        socket.end();
+        return;
+      }
+
+      const handler = commands[command];
+      if (!handler) {
+        reply(new Error(`ERR unknown command '${name}'`));
+        return;
+      }
+      try {
+        reply(await handler(store, args));
+      } catch (error) {
+        reply(error);
+      }
+    };
+
+    const parser = new RespParser(value => {
+      queue = queue.then(() => execute(value));
+    });
+
+    socket.on('data', chunk => {
+      try {
+        parser.push(chunk);
+      } catch (error) {
+        socket.destroy();
+      }
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      for (const unsubscribe of subscriptions.values()) unsubscribe();
+      subscriptions.clear();
+    });
+  });
+
+  server.on('close', () => store.close());
+  return server;
+}
+
+module.exports = { createLocalRedisServer };
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 6379;
+  createLocalRedisServer().listen(port, '127.0.0.1', () => {
+    console.log(`🧪 本地 Redis 替身已启动: redis://127.0.0.1:${port}`);
+  });
+}
@@ -0,0 +1,194 @@
+const { EventEmitter } = require('events');
+
+// 进程内的状态存储，语义与 Redis 对应命令一致（只实现服务器用到的子集）
+// 单实例部署时使用；同时作为本地 Redis 替身（localRedis.js）的数据层
+class MemoryStore {
+  constructor() {
+    // key -> { type: 'string' | 'hash' | 'zset', value, expiresAt }
+    this.entries = new Map();
+    this.channels = new EventEmitter();
+    this.channels.setMaxListeners(0);
+
+    // 定期清理过期的 key，避免限流等短期数据堆积
+    this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  entry(key, type) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    if (type && entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return entry;
+  }
+
+  // 取出指定类型的 entry，不存在时创建
+  ensure(key, type, create) {
+    let entry = this.entry(key, type);
+    if (!entry) {
+      entry = { type, value: create(), expiresAt: null };
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  // 删除空的 hash / zset，与 Redis 行为一致
+  dropIfEmpty(key, entry) {
+    if (entry.value.size === 0) this.entries.delete(key);
+  }
+
+  async get(key) {
+    const entry = this.entry(key, 'string');
+    return entry ? entry.value : null;
+  }
+
+  // 返回是否写入成功（onlyIfAbsent 且 key 已存在时返回 false）
+  async set(key, value, { ttlMs, onlyIfAbsent = false } = {}) {
+    if (onlyIfAbsent && this.entry(key)) return false;
+    this.entries.set(key, {
+      type: 'string',
+      value: String(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+    return true;
+  }
+
+  async del(key) {
+    const existed = !!this.entry(key);
+    this.entries.delete(key);
+    return existed ? 1 : 0;
+  }
+
+  async incr(key) {
+    const entry = this.ensure(key, 'string', () => '0');
+    const value = Number(entry.value);
+    if (!Number.isInteger(value)) {
+      throw new Error('ERR value is not an integer or out of range');
+    }
+    entry.value = String(value + 1);
+    return value + 1;
+  }
+
+  async pexpire(key, ttlMs) {
+    const entry = this.entry(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + ttlMs;
+    return 1;
+  }
+
+  // 剩余毫秒数；没有过期时间返回 -1，key 不存在返回 -2
+  async pttl(key) {
+    const entry = this.entry(key);
+    if (!entry) return -2;
+    if (entry.expiresAt === null) return -1;
+    return Math.max(0, entry.expiresAt - Date.now());
+  }
+
+  async hset(key, field, value) {
+    const entry = this.ensure(key, 'hash', () => new Map());
+    const added = entry.value.has(field) ? 0 : 1;
+    entry.value.set(field, String(value));
+    return added;
+  }
+
+  async hget(key, field) {
+    const entry = this.entry(key, 'hash');
+    return entry?.value.get(field) ?? null;
+  }
+
+  async hdel(key, field) {
+    const entry = this.entry(key, 'hash');
+    if (!entry || !entry.value.delete(field)) return 0;
+    this.dropIfEmpty(key, entry);
+    return 1;
+  }
+
+  async hgetall(key) {
+    const entry = this.entry(key, 'hash');
+    return entry ? Object.fromEntries(entry.value) : {};
+  }
+
+  async hlen(key) {
+    const entry = this.entry(key, 'hash');
+    return entry ? entry.value.size : 0;
+  }
+
+  async hincrby(key, field, increment) {
+    const entry = this.ensure(key, 'hash', () => new Map());
+    const value = Number(entry.value.get(field) ?? 0) + increment;
+    entry.value.set(field, String(value));
+    return value;
+  }
+
+  async zadd(key, score, member) {
+    const entry = this.ensure(key, 'zset', () => new Map());
+    const added = entry.value.has(String(member)) ? 0 : 1;
+    entry.value.set(String(member), Number(score));
+    return added;
+  }
+
+  async zremrangebyscore(key, min, max) {
+    const entry = this.entry(key, 'zset');
+    if (!entry) return 0;
+    let removed = 0;
+    for (const [member, score] of entry.value) {
+      if (score >= min && score <= max) {
+        entry.value.delete(member);
+        removed++;
+      }
+    }
+    this.dropIfEmpty(key, entry);
+    return removed;
+  }
+
+  async zcard(key) {
+    const entry = this.entry(key, 'zset');
+    return entry ? entry.value.size : 0;
+  }
+
+  // 按分数升序返回 [start, stop] 范围内的成员（stop 为 -1 表示到末尾）
+  async zrangeWithScores(key, start, stop) {
+    const entry = this.entry(key, 'zset');
+    if (!entry) return [];
+    const sorted = [...entry.value]
+      .map(([member, score]) => ({ member, score }))
+      .sort((a, b) => a.score - b.score || (a.member < b.member ? -1 : 1));
+    return sorted.slice(start, stop < 0 ? sorted.length + stop + 1 : stop + 1);
+  }
+
+  // 发布/订阅：返回收到消息的订阅者数量
+  async publish(channel, message) {
+    const count = this.channels.listenerCount(channel);
+    this.channels.emit(channel, String(message));
+    return count;
+  }
+
+  // 订阅频道，返回取消订阅的函数
+  async subscribe(channel, handler) {
+    this.channels.on(channel, handler);
+    return async () => {
+      this.channels.off(channel, handler);
+    };
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+    this.channels.removeAllListeners();
+  }
+}
+
+module.exports = { MemoryStore };
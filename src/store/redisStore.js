@@ -0,0 +1,131 @@
+const { RespConnection, parseRedisUrl } = require('./resp');
+
+// 基于 Redis 的共享状态存储，多个服务器实例通过它共享在线状态、限流计数，
+// 并通过发布/订阅转发 Socket.IO 广播。接口与 MemoryStore 一致
+class RedisStore {
+  constructor(url) {
+    this.options = parseRedisUrl(url);
+    this.client = new RespConnection(this.options);
+    // 订阅需要单独的连接（订阅模式下不能执行普通命令），首次订阅时创建
+    this.subscriber = null;
+    this.handlers = new Map();
+  }
+
+  command(...args) {
+    return this.client.command(args);
+  }
+
+  async get(key) {
+    return this.command('GET', key);
+  }
+
+  async set(key, value, { ttlMs, onlyIfAbsent = false } = {}) {
+    const args = ['SET', key, value];
+    if (ttlMs) args.push('PX', Math.ceil(ttlMs));
+    if (onlyIfAbsent) args.push('NX');
+    return (await this.command(...args)) === 'OK';
+  }
+
+  async del(key) {
+    return this.command('DEL', key);
+  }
+
+  async incr(key) {
+    return this.command('INCR', key);
+  }
+
+  async pexpire(key, ttlMs) {
+    return this.command('PEXPIRE', key, Math.ceil(ttlMs));
+  }
+
+  async pttl(key) {
+    return this.command('PTTL', key);
+  }
+
+  async hset(key, field, value) {
+    return this.command('HSET', key, field, value);
+  }
+
+  async hget(key, field) {
+    return this.command('HGET', key, field);
+  }
+
+  async hdel(key, field) {
+    return this.command('HDEL', key, field);
+  }
+
+  async hgetall(key) {
+    const flat = await this.command('HGETALL', key);
+    const result = {};
+    for (let i = 0; i < flat.length; i += 2) {
+      result[flat[i]] = flat[i + 1];
+    }
+    return result;
+  }
+
+  async hlen(key) {
+    return this.command('HLEN', key);
+  }
+
+  async hincrby(key, field, increment) {
+    return this.command('HINCRBY', key, field, increment);
+  }
+
+  async zadd(key, score, member) {
+    return this.command('ZADD', key, score, member);
+  }
+
+  async zremrangebyscore(key, min, max) {
+    return this.command('ZREMRANGEBYSCORE', key, min, max);
+  }
+
+  async zcard(key) {
+    return this.command('ZCARD', key);
+  }
+
+  async zrangeWithScores(key, start, stop) {
+    const flat = await this.command('ZRANGE', key, start, stop, 'WITHSCORES');
+    const result = [];
+    for (let i = 0; i < flat.length; i += 2) {
+      result.push({ member: flat[i], score: Number(flat[i + 1]) });
+    }
+    return result;
+  }
+
+  async publish(channel, message) {
+    return this.command('PUBLISH', channel, message);
+  }
+
+  // 订阅频道，返回取消订阅的函数
+  async subscribe(channel, handler) {
+    if (!this.subscriber) {
+      this.subscriber = new RespConnection(this.options);
+      this.subscriber.on('message', (name, message) => {
+        for (const fn of this.handlers.get(name) || []) fn(message);
+      });
+    }
+
+    let handlers = this.handlers.get(channel);
+    if (!handlers) {
+      handlers = new Set();
+      this.handlers.set(channel, handlers);
+      await this.subscriber.subscribe(channel);
+    }
+    handlers.add(handler);
+
+    return async () => {
+      handlers.delete(handler);
+      if (handlers.size === 0 && this.handlers.get(channel) === handlers) {
+        this.handlers.delete(channel);
+        await this.subscriber.unsubscribe(channel);
+      }
+    };
+  }
+
+  async close() {
+    await this.client.close();
+    if (this.subscriber) await this.subscriber.close();
+  }
+}
+
+module.exports = { RedisStore };
@@ -0,0 +1,214 @@
+const net = require('net');
+const { EventEmitter } = require('events');
+
+// Redis 协议（RESP2）的编码、解析和一个最小的连接实现
+// 只覆盖状态存储和 Socket.IO 适配器用到的命令，不依赖第三方客户端
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = Buffer.from(String(arg));
+    out += `$${value.length}\r\n${value.toString()}\r\n`;
+  }
+  return out;
+}
+
+function encodeReply(value) {
+  if (value === null || value === undefined) return '$-1\r\n';
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encodeReply).join('')}`;
+  const text = String(value);
+  return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+}
+
+// 增量解析器：push 收到的数据，每解析出一个完整的值就调用 onValue
+// 服务端返回的错误（-ERR ...）解析为 Error 对象
+class RespParser {
+  constructor(onValue) {
+    this.onValue = onValue;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    for (;;) {
+      const result = this.parse(0);
+      if (!result) return;
+      this.buffer = this.buffer.subarray(result.offset);
+      this.onValue(result.value);
+    }
+  }
+
+  // 从 offset 处解析一个值，数据不完整时返回 null
+  parse(offset) {
+    const lineEnd = this.buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(this.buffer[offset]);
+    const line = this.buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case '+':
+        return { value: line, offset: next };
+      case '-':
+        return { value: new Error(line), offset: next };
+      case ':':
+        return { value: Number(line), offset: next };
+      case '$': {
+        const length = Number(line);
+        if (length === -1) return { value: null, offset: next };
+        if (this.buffer.length < next + length + 2) return null;
+        return { value: this.buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+      }
+      case '*': {
+        const count = Number(line);
+        if (count === -1) return { value: null, offset: next };
+        const items = [];
+        let position = next;
+        for (let i = 0; i < count; i++) {
+          const item = this.parse(position);
+          if (!item) return null;
+          items.push(item.value);
+          position = item.offset;
+        }
+        return { value: items, offset: position };
+      }
+      default:
+        throw new Error(`无法解析的 Redis 响应类型: ${type}`);
+    }
+  }
+}
+
+// 解析 redis://[:password@]host[:port][/db]
+function parseRedisUrl(url) {
+  const parsed = new URL(url);
+  return {
+    host: parsed.hostname || '127.0.0.1',
+    port: Number(parsed.port) || 6379,
+    password: parsed.password ? decodeURIComponent(parsed.password) : null,
+    db: Number(parsed.pathname.slice(1)) || 0
+  };
+}
+
+const RECONNECT_DELAY_MS = 1000;
+
+// 单条 Redis 连接：命令按顺序排队并按顺序匹配响应，断线后自动重连
+// 订阅模式下收到的推送通过 'message' 事件发出 (channel, message)
+class RespConnection extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.pending = [];
+    this.channels = new Set();
+    this.subscriber = false;
+    this.closed = false;
+    this.ready = null;
+  }
+
+  connect() {
+    if (!this.ready) {
+      this.ready = this.open().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.options.host, port: this.options.port });
+      const parser = new RespParser(value => this.handleReply(value));
+      this.socket = socket;
+
+      socket.setNoDelay(true);
+      socket.on('data', chunk => {
+        try {
+          parser.push(chunk);
+        } catch (error) {
+          socket.destroy(error);
+        }
+      });
+      socket.once('connect', async () => {
+        try {
+          if (this.options.password) await this.send(['AUTH', this.options.password]);
+          if (this.options.db) await this.send(['SELECT', this.options.db]);
+          for (const channel of this.channels) await this.send(['SUBSCRIBE', channel]);
+          resolve();
+        } catch (error) {
+          socket.destroy();
+          reject(error);
+        }
+      });
+      socket.on('error', error => {
+        if (!this.closed) console.error('Redis 连接错误:', error.message);
+        reject(error);
+      });
+      socket.on('close', () => this.handleClose());
+    });
+  }
+
+  handleReply(value) {
+    // 订阅模式下的推送消息不对应任何请求
+    if (this.subscriber && Array.isArray(value) && value[0] === 'message') {
+      this.emit('message', value[1], value[2]);
+      return;
+    }
+    const request = this.pending.shift();
+    if (!request) return;
+    if (value instanceof Error) request.reject(value);
+    else request.resolve(value);
+  }
+
+  handleClose() {
+    const error = new Error('Redis 连接已断开');
+    for (const request of this.pending.splice(0)) request.reject(error);
+    this.socket = null;
+    this.ready = null;
+    if (this.closed) return;
+
+    const timer = setTimeout(() => {
+      this.connect().catch(() => {});
+    }, RECONNECT_DELAY_MS);
+    timer.unref();
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  async command(args) {
+    if (this.closed) throw new Error('Redis 连接已关闭');
+    await this.connect();
+    return this.send(args);
+  }
+
+  // 进入订阅模式后这条连接只能再执行订阅相关的命令
+  async subscribe(channel) {
+    this.subscriber = true;
+    this.channels.add(channel);
+    await this.command(['SUBSCRIBE', channel]);
+  }
+
+  async unsubscribe(channel) {
+    this.channels.delete(channel);
+    await this.command(['UNSUBSCRIBE', channel]);
+  }
+
+  async close() {
+    this.closed = true;
+    if (this.socket) this.socket.end();
+  }
+}
+
+module.exports = {
+  encodeCommand,
+  encodeReply,
+  RespParser,
+  RespConnection,
+  parseRedisUrl
+};
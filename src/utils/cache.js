@@ -0,0 +1,27 @@
+const store = require('../store');
+
+// 短期缓存：结果以 JSON 保存在共享状态存储中（多实例部署时各实例共用），同一个 key 在 ttl 内复用结果
+// 本实例内并发请求共享同一个进行中的 Promise；结果中的 Date 等类型会变成字符串
+const pending = new Map();
+
+async function cached(key, ttlMs, loader) {
+  const cacheKey = `cache:${key}`;
+  const hit = await store.get(cacheKey);
+  if (hit !== null) {
+    return JSON.parse(hit);
+  }
+
+  if (!pending.has(cacheKey)) {
+    const promise = Promise.resolve()
+      .then(loader)
+      .then(async result => {
+        await store.set(cacheKey, JSON.stringify(result), { ttlMs });
+        return result;
+      })
+      .finally(() => pending.delete(cacheKey));
+    pending.set(cacheKey, promise);
+  }
+  return pending.get(cacheKey);
+}
+
+module.exports = { cached };
@@ -0,0 +1,78 @@
+// 简单的 CSV 解析（RFC 4180）：支持双引号包裹、引号内的逗号和换行、"" 转义
+// 返回二维数组，每行一个字符串数组，忽略完全空白的行
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // 去掉 UTF-8 BOM（Excel 导出的 CSV 常带）
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some(cell => cell.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n') {
+      endRow();
+    } else if (ch === '\r') {
+      if (input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV 格式错误：引号未闭合');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+// 将带表头的 CSV 解析为对象数组，表头作为键名
+function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const keys = header.map(h => h.trim());
+  return rows.map(cells => {
+    const obj = {};
+    keys.forEach((key, i) => {
+      if (key) obj[key] = cells[i] !== undefined ? cells[i].trim() : '';
+    });
+    return obj;
+  });
+}
+
+module.exports = { parseCsv, parseCsvObjects };
@@ -0,0 +1,10 @@
+// 业务错误：携带 HTTP 状态码，由路由层统一转换为 { success: false, error } 响应
+class AppError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+  }
+}
+
+module.exports = { AppError };
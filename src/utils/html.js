@@ -0,0 +1,128 @@
+// HTML 转义与白名单清洗，用于聊天消息等用户提交的富文本
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ESCAPES[ch]);
+}
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+// 解码常见实体，未知实体保持原样（之后会整体重新转义）
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// 允许保留的标签（不带任何属性，class 单独校验）
+const ALLOWED_TAGS = new Set(['span', 'strong', 'em', 'b', 'i', 'u', 'br']);
+const VOID_TAGS = new Set(['br']);
+
+// 连同内容一起丢弃的标签
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'noscript',
+  'template', 'textarea', 'title', 'svg', 'math'
+]);
+
+const TAG = /<!--[\s\S]*?(?:-->|$)|<\s*(\/?)\s*([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const CLASS_ATTR = /(?:^|\s)class\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i;
+
+// 按白名单清洗 HTML：
+// - 只保留 ALLOWED_TAGS，其余标签去掉但保留文字，DROPPED_TAGS 连内容一起去掉
+// - 除 class 外的属性一律丢弃，class 只保留 isAllowedClass 通过的类名
+// - 文本统一重新转义，未闭合的标签在末尾补齐
+// 返回 { html, text }，text 为清洗后可见的纯文本
+function sanitizeHtml(input, { isAllowedClass = () => false } = {}) {
+  let html = '';
+  let text = '';
+  const open = [];
+  let dropping = null;
+  let lastIndex = 0;
+
+  const appendText = raw => {
+    const decoded = decodeEntities(raw);
+    html += escapeHtml(decoded);
+    text += decoded;
+  };
+
+  for (const match of String(input).matchAll(TAG)) {
+    const [whole, closing, rawName, attrs = ''] = match;
+    const name = rawName ? rawName.toLowerCase() : null;
+
+    if (dropping) {
+      if (closing && name === dropping) {
+        dropping = null;
+        lastIndex = match.index + whole.length;
+      }
+      continue;
+    }
+
+    appendText(input.slice(lastIndex, match.index));
+    lastIndex = match.index + whole.length;
+
+    // 注释
+    if (!name) continue;
+
+    if (DROPPED_TAGS.has(name)) {
+      if (!closing && !/\/\s*$/.test(attrs)) dropping = name;
+      continue;
+    }
+    if (!ALLOWED_TAGS.has(name)) continue;
+
+    if (VOID_TAGS.has(name)) {
+      if (!closing) {
+        html += `<${name}>`;
+        text += ' ';
+      }
+      continue;
+    }
+
+    if (closing) {
+      const index = open.lastIndexOf(name);
+      if (index === -1) continue;
+      // 关闭该标签以及其内部未闭合的标签
+      while (open.length > index) {
+        html += `</${open.pop()}>`;
+      }
+      continue;
+    }
+
+    const classMatch = attrs.match(CLASS_ATTR);
+    const classes = classMatch
+      ? (classMatch[1] ?? classMatch[2] ?? classMatch[3]).split(/\s+/).filter(c => c && isAllowedClass(c))
+      : [];
+    html += classes.length > 0 ? `<${name} class="${escapeHtml(classes.join(' '))}">` : `<${name}>`;
+    open.push(name);
+  }
+
+  if (!dropping) {
+    appendText(input.slice(lastIndex));
+  }
+  while (open.length > 0) {
+    html += `</${open.pop()}>`;
+  }
+
+  return { html, text };
+}
+
+module.exports = { escapeHtml, decodeEntities, sanitizeHtml };
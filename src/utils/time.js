@@ -0,0 +1,70 @@
+// 时区相关的日期工具（签到、排行榜按“自然日/自然周”统计时使用）
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// 返回指定时区下的年月日时分秒
+function localParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+// 返回指定时区下的日期字符串，例如 2025-12-23
+function localDate(date, timeZone) {
+  const { year, month, day } = localParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// 两个日期字符串（YYYY-MM-DD）相差的天数
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+// 指定时区相对 UTC 的偏移（毫秒）
+function timezoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = localParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// 指定时区下当天 0 点对应的时间
+function startOfLocalDay(date, timeZone) {
+  const { year, month, day } = localParts(date, timeZone);
+  return new Date(Date.UTC(year, month - 1, day) - timezoneOffset(date, timeZone));
+}
+
+// 指定时区下本周一 0 点对应的时间
+function startOfLocalWeek(date, timeZone) {
+  const { year, month, day } = localParts(date, timeZone);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const daysSinceMonday = (weekday + 6) % 7;
+  return new Date(startOfLocalDay(date, timeZone).getTime() - daysSinceMonday * DAY_MS);
+}
+
+module.exports = {
+  localDate,
+  daysBetween,
+  timezoneOffset,
+  startOfLocalDay,
+  startOfLocalWeek
+};